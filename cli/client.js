@@ -1,8 +1,9 @@
 const net = require('net');
 const fs = require('fs');
 const crypto = require('crypto');
-const { getSocketPath, getPidPath, encodeMessage, decodeMessages } = require('./protocol');
+const { getSessionName, getSocketPath, getPidPath, getLogPath, listSessions, encodeMessage, decodeMessages } = require('./protocol');
 const { formatResult } = require('./output');
+const { readLastLines } = require('./logger');
 
 function getConnectionInfo() {
   const pidData = getPidData();
@@ -10,6 +11,10 @@ function getConnectionInfo() {
   return getSocketPath();
 }
 
+function encodeRequest(message) {
+  return encodeMessage({ ...message, token: getPidData()?.token });
+}
+
 function createConnection(callback) {
   const info = getConnectionInfo();
   if (info.type === 'tcp') {
@@ -46,28 +51,47 @@ function getPidData() {
   }
 }
 
+function getStartHint() {
+  const session = getSessionName();
+  return session ? `shellchrome-cli start --session ${session}` : 'shellchrome-cli start';
+}
+
 async function runClient(command, args, options = {}) {
   if (!isDaemonRunning()) {
-    console.error('ERROR: Daemon not running. Start it with: shellchrome-cli start');
+    console.error(`ERROR: Daemon not running. Start it with: ${getStartHint()}`);
     process.exit(1);
   }
 
-  const timeout = options.timeout || 30000;
+  // 不传 --timeout 时不限时，wait 等命令按自己的等待参数运行
+  const timeout = options.timeout;
   const id = crypto.randomUUID();
 
-  return new Promise((resolve) => {
+  return new Promise((settle) => {
+    let done = false;
+    const resolve = (code) => {
+      done = true;
+      settle(code);
+    };
+
     const socket = createConnection(() => {
-      const message = { id, type: 'command', command, args };
-      socket.write(encodeMessage(message));
+      const message = { id, type: 'command', command, args, timeout };
+      socket.write(encodeRequest(message));
     });
 
     let buffer = '';
 
-    const timer = setTimeout(() => {
+    const abandon = () => {
+      socket.write(encodeRequest({ type: 'cancel', id }));
       socket.end();
-      console.error('ERROR: Request timed out');
-      resolve(1);
-    }, timeout);
+    };
+
+    // 超时由守护进程从命令开始执行时计时，超时后它会中止命令并返回错误；
+    // 客户端不另外计时，否则排队等待的时间也会被算进去
+    process.once('SIGINT', () => {
+      abandon();
+      console.error('Cancelled');
+      resolve(130);
+    });
 
     socket.on('data', (data) => {
       buffer += data.toString();
@@ -76,7 +100,6 @@ async function runClient(command, args, options = {}) {
 
       for (const msg of messages) {
         if (msg.id === id) {
-          clearTimeout(timer);
           socket.end();
           const output = formatResult(msg, { json: options.json });
           console.log(output);
@@ -86,26 +109,77 @@ async function runClient(command, args, options = {}) {
     });
 
     socket.on('error', (err) => {
-      clearTimeout(timer);
       if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
-        console.error('ERROR: Cannot connect to daemon. Start it with: shellchrome-cli start');
+        console.error(`ERROR: Cannot connect to daemon. Start it with: ${getStartHint()}`);
       } else {
         console.error(`ERROR: ${err.message}`);
       }
       resolve(1);
     });
+
+    // 没有客户端超时，守护进程中途退出时要在这里结束等待
+    socket.on('close', () => {
+      if (done) return;
+      console.error('ERROR: Daemon connection closed');
+      resolve(1);
+    });
+  });
+}
+
+async function cancelCommand(id) {
+  if (!isDaemonRunning()) {
+    console.error(`ERROR: Daemon not running. Start it with: ${getStartHint()}`);
+    return 1;
+  }
+
+  return new Promise((resolve) => {
+    const socket = createConnection(() => {
+      socket.write(encodeRequest({ type: 'cancel', id }));
+    });
+
+    let buffer = '';
+    const timer = setTimeout(() => {
+      socket.end();
+      console.error('ERROR: Request timed out');
+      resolve(1);
+    }, 5000);
+
+    socket.on('data', (data) => {
+      buffer += data.toString();
+      const { messages } = decodeMessages(buffer);
+      for (const msg of messages) {
+        if (msg.type !== 'cancel') continue;
+        clearTimeout(timer);
+        socket.end();
+        if (msg.success) {
+          console.log(`Cancelled ${msg.id}`);
+        } else if (msg.error) {
+          console.error(`ERROR: ${msg.error}`);
+        } else {
+          console.error(id ? `ERROR: No running or queued command matches ${id}` : 'ERROR: No command is running');
+        }
+        resolve(msg.success ? 0 : 1);
+      }
+    });
+
+    socket.on('error', (err) => {
+      clearTimeout(timer);
+      console.error(`ERROR: ${err.message}`);
+      resolve(1);
+    });
   });
 }
 
 async function runHealthCheck() {
   if (!isDaemonRunning()) {
-    console.log('Daemon: not running');
+    const session = getSessionName();
+    console.log(session ? `Daemon (session ${session}): not running` : 'Daemon: not running');
     return false;
   }
 
   return new Promise((resolve) => {
     const socket = createConnection(() => {
-      socket.write(encodeMessage({ type: 'health' }));
+      socket.write(encodeRequest({ type: 'health' }));
     });
 
     let buffer = '';
@@ -125,10 +199,37 @@ async function runHealthCheck() {
           clearTimeout(timer);
           socket.end();
           console.log(`Daemon: running`);
+          console.log(`  Session: ${msg.session || 'default'}`);
           console.log(`  PID: ${msg.pid}`);
           console.log(`  Uptime: ${msg.uptime}s`);
           console.log(`  Tabs: ${msg.pages}`);
+          if (msg.connect) {
+            console.log(`  Attached to: ${msg.connect}`);
+          } else {
+            console.log(`  Profile: ${msg.profile || '(temporary)'}`);
+          }
           console.log(`  Current URL: ${msg.currentUrl}`);
+          if (msg.http) {
+            console.log(`  HTTP API: ${msg.http}`);
+          }
+          if (msg.limits && (msg.limits.idleTimeoutMinutes || msg.limits.maxTabs || msg.limits.maxMemoryMB)) {
+            const { idleTimeoutMinutes, maxTabs, maxMemoryMB, idleMs } = msg.limits;
+            const parts = [];
+            if (idleTimeoutMinutes) parts.push(`idle ${Math.floor(idleMs / 60000)}/${idleTimeoutMinutes} min`);
+            if (maxTabs) parts.push(`max tabs ${maxTabs}`);
+            if (maxMemoryMB) parts.push(`max memory ${maxMemoryMB}MB`);
+            console.log(`  Limits: ${parts.join(', ')}`);
+          }
+          if (msg.queue) {
+            const { running, queued } = msg.queue;
+            console.log(`  Queue: ${running ? 1 : 0} running, ${queued.length} waiting`);
+            if (running) {
+              console.log(`    [${running.id.slice(0, 8)}] running ${(running.runningMs / 1000).toFixed(1)}s: ${running.command}`);
+            }
+            for (const task of queued) {
+              console.log(`    [${task.id.slice(0, 8)}] waiting ${(task.waitingMs / 1000).toFixed(1)}s: ${task.command}`);
+            }
+          }
           resolve(true);
         }
       }
@@ -142,4 +243,230 @@ async function runHealthCheck() {
   });
 }
 
-module.exports = { runClient, runHealthCheck, isDaemonRunning, getPidData };
+function readBatchLines(source) {
+  const content = source === '-' ? fs.readFileSync(0, 'utf-8') : fs.readFileSync(source, 'utf-8');
+  return content
+    .split(/\r?\n/)
+    .map((text, index) => ({ lineNumber: index + 1, text: text.trim() }))
+    .filter(line => line.text && !line.text.startsWith('#'));
+}
+
+async function runBatch(source, options = {}) {
+  if (!isDaemonRunning()) {
+    console.error(`ERROR: Daemon not running. Start it with: ${getStartHint()}`);
+    return 1;
+  }
+
+  let lines;
+  try {
+    lines = readBatchLines(source);
+  } catch (error) {
+    console.error(`ERROR: Cannot read ${source === '-' ? 'stdin' : source}: ${error.message}`);
+    return 1;
+  }
+
+  const timeout = options.timeout;
+  const socket = createConnection();
+  let buffer = '';
+  const waiting = new Map();
+  let connectionError = null;
+
+  socket.on('data', (data) => {
+    buffer += data.toString();
+    const { messages, remainder } = decodeMessages(buffer);
+    buffer = remainder;
+    for (const msg of messages) {
+      const resolve = waiting.get(msg.id);
+      if (resolve) {
+        waiting.delete(msg.id);
+        resolve(msg);
+      }
+    }
+  });
+
+  const failAll = (error) => {
+    connectionError = error;
+    for (const resolve of waiting.values()) {
+      resolve({ success: false, error: error.message, displayType: 'error' });
+    }
+    waiting.clear();
+  };
+  socket.on('error', failAll);
+  socket.on('close', () => failAll(new Error('Daemon connection closed')));
+
+  const send = (line) => new Promise((resolve) => {
+    if (connectionError) {
+      resolve({ success: false, error: connectionError.message, displayType: 'error' });
+      return;
+    }
+    const id = crypto.randomUUID();
+    waiting.set(id, resolve);
+    socket.write(encodeRequest({ id, type: 'command', line, timeout }));
+  });
+
+  let succeeded = 0;
+  let failed = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const { lineNumber, text } = lines[i];
+    const { id, ...result } = await send(text);
+
+    if (options.json) {
+      console.log(JSON.stringify({ line: lineNumber, command: text, ...result }));
+    } else {
+      console.log(`[${lineNumber}] ${text}`);
+      console.log(formatResult(result));
+    }
+
+    if (result.success) {
+      succeeded++;
+    } else {
+      failed++;
+      if (options.stopOnError) break;
+    }
+  }
+
+  socket.removeAllListeners('close');
+  socket.end();
+
+  const skipped = lines.length - succeeded - failed;
+  console.error(`Batch: ${lines.length} commands, ${succeeded} succeeded, ${failed} failed` +
+    (skipped > 0 ? `, ${skipped} skipped` : ''));
+  return failed > 0 ? 1 : 0;
+}
+
+async function runWatch(events, options = {}) {
+  if (!isDaemonRunning()) {
+    console.error(`ERROR: Daemon not running. Start it with: ${getStartHint()}`);
+    return 1;
+  }
+
+  return new Promise((resolve) => {
+    const socket = createConnection(() => {
+      socket.write(encodeRequest({ type: 'subscribe', events }));
+    });
+
+    let buffer = '';
+    let interrupted = false;
+
+    process.once('SIGINT', () => {
+      interrupted = true;
+      socket.end();
+    });
+
+    socket.on('data', (data) => {
+      buffer += data.toString();
+      const { messages, remainder } = decodeMessages(buffer);
+      buffer = remainder;
+
+      for (const msg of messages) {
+        if (msg.type === 'subscribe') {
+          if (!msg.success) {
+            console.error(`ERROR: ${msg.error}`);
+            interrupted = true;
+            resolve(1);
+          } else if (!options.quiet) {
+            console.error(`Watching: ${msg.events.join(', ')} (Ctrl+C to stop)`);
+          }
+        } else if (msg.type === 'event') {
+          console.log(JSON.stringify(msg.data));
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      if (!interrupted) console.error('Daemon connection closed');
+      resolve(interrupted ? 0 : 1);
+    });
+
+    socket.on('error', (err) => {
+      if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+        console.error(`ERROR: Cannot connect to daemon. Start it with: ${getStartHint()}`);
+      } else {
+        console.error(`ERROR: ${err.message}`);
+      }
+      interrupted = true;
+      resolve(1);
+    });
+  });
+}
+
+async function showLogs(options = {}) {
+  const logPath = getLogPath();
+  const lines = readLastLines(logPath, options.lines || 50);
+  if (!lines) {
+    console.error(`ERROR: No daemon log at ${logPath}`);
+    return 1;
+  }
+  for (const line of lines) console.log(line);
+  if (!options.follow) return 0;
+
+  let offset = fs.statSync(logPath).size;
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      let size;
+      try {
+        size = fs.statSync(logPath).size;
+      } catch (e) {
+        return;
+      }
+      // 文件变小说明日志已轮转，从新文件开头继续读
+      if (size < offset) offset = 0;
+      if (size === offset) return;
+
+      const fd = fs.openSync(logPath, 'r');
+      const chunk = Buffer.alloc(size - offset);
+      fs.readSync(fd, chunk, 0, chunk.length, offset);
+      fs.closeSync(fd);
+      offset = size;
+      process.stdout.write(chunk);
+    }, 500);
+
+    process.once('SIGINT', () => {
+      clearInterval(timer);
+      resolve(0);
+    });
+  });
+}
+
+function printSessions(options = {}) {
+  const sessions = listSessions();
+
+  if (options.json) {
+    console.log(JSON.stringify(sessions.map(({ name, running, data }) => ({
+      name,
+      running,
+      pid: data?.pid,
+      startedAt: data?.startedAt,
+      profile: data?.profile,
+      connect: data?.connect,
+    })), null, 2));
+    return;
+  }
+
+  if (sessions.length === 0) {
+    console.log('No sessions in this directory');
+    return;
+  }
+
+  const width = Math.max(...sessions.map(s => s.name.length), 7);
+  console.log('Sessions:');
+  for (const { name, running, data } of sessions) {
+    const state = running ? 'running' : 'stale';
+    const target = data?.connect ? `attached to ${data.connect}` : `profile: ${data?.profile || '(temporary)'}`;
+    console.log(`  ${name.padEnd(width)}  PID ${String(data?.pid || '?').padEnd(7)}  ${state.padEnd(7)}  ${target}`);
+  }
+}
+
+module.exports = {
+  encodeRequest,
+  runClient,
+  runBatch,
+  runWatch,
+  showLogs,
+  cancelCommand,
+  runHealthCheck,
+  isDaemonRunning,
+  getPidData,
+  printSessions,
+};
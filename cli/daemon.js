@@ -1,38 +1,172 @@
 const net = require('net');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { BrowserManager } = require('../core/browser-manager');
+const { BrowserManager, EVENT_TYPES } = require('../core/browser-manager');
 const { SnapshotManager } = require('../core/snapshot');
 const { ActionExecutor } = require('../core/actions');
 const { AutomationManager } = require('../core/automation');
 const { CommandDispatcher } = require('../core/commands');
-const { getSocketPath, getPidPath, encodeMessage, decodeMessages } = require('./protocol');
+const { tokenize } = require('../core/args');
+const { HttpServer, parseHttpAddress } = require('./http');
+const { ResourceMonitor } = require('./resource-monitor');
+const { Logger } = require('./logger');
+const { SessionStore } = require('./session-store');
+const {
+  getSessionName,
+  getSocketPath,
+  getPidPath,
+  getLogPath,
+  getStatePath,
+  getStoragePath,
+  encodeMessage,
+  decodeMessages,
+} = require('./protocol');
+
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  if (index === -1 || !process.argv[index + 1]) return undefined;
+  return process.argv[index + 1];
+}
+
+function getArgValues(name) {
+  const values = [];
+  process.argv.forEach((arg, index) => {
+    if (arg === name && process.argv[index + 1]) values.push(process.argv[index + 1]);
+  });
+  return values;
+}
+
+// 日志和队列状态只记录命令名和参数个数：t、cookies、eval、route、state 的参数里可能有密码、Cookie 或令牌
+function summarizeCommand(command, args) {
+  return args.length > 0 ? `${command} (${args.length} args)` : command;
+}
+
+function getBrowserOptions() {
+  return {
+    headless: process.argv.includes('--headless') || !process.argv.includes('--no-headless'),
+    profile: getArgValue('--profile'),
+    connect: getArgValue('--connect') || getArgValue('--connect-port'),
+    executablePath: getArgValue('--executable-path'),
+    channel: getArgValue('--channel'),
+    lang: getArgValue('--lang'),
+    windowSize: getArgValue('--window-size'),
+    extraArgs: getArgValues('--extra-arg'),
+    sandbox: process.argv.includes('--sandbox') ? true : undefined,
+  };
+}
+
+const ABORT_SETTLE_TIMEOUT = 30000;
 
 class CommandQueue {
   constructor() {
     this._queue = [];
-    this._running = false;
+    this._current = null;
   }
 
-  async enqueue(fn) {
+  enqueue(fn, options = {}) {
     return new Promise((resolve, reject) => {
-      this._queue.push({ fn, resolve, reject });
+      const task = {
+        id: options.id || crypto.randomUUID(),
+        label: options.label || '',
+        fn,
+        resolve,
+        reject,
+        controller: new AbortController(),
+        enqueuedAt: Date.now(),
+        startedAt: null,
+        timeout: options.timeout > 0 ? options.timeout : null,
+        timer: null,
+        settled: false,
+      };
+      this._queue.push(task);
       this._process();
     });
   }
 
+  // 编号可以只写前缀，但必须只匹配一条命令
+  cancel(id) {
+    const task = id ? this._find(id) : this._current;
+    if (!task) return null;
+    this._abort(task, new Error('Command cancelled'));
+    return task.id;
+  }
+
+  _find(id) {
+    const tasks = [this._current, ...this._queue].filter(Boolean);
+    const exact = tasks.find(t => t.id === id);
+    if (exact) return exact;
+    const matches = tasks.filter(t => t.id.startsWith(id));
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous command id ${id}: matches ${matches.map(t => t.id).join(', ')}`);
+    }
+    return matches[0] || null;
+  }
+
+  status() {
+    const now = Date.now();
+    return {
+      running: this._current
+        ? { id: this._current.id, command: this._current.label, runningMs: now - this._current.startedAt }
+        : null,
+      queued: this._queue.map(t => ({ id: t.id, command: t.label, waitingMs: now - t.enqueuedAt })),
+    };
+  }
+
+  _abort(task, error) {
+    if (task.settled) return;
+    const index = this._queue.indexOf(task);
+    if (index !== -1) this._queue.splice(index, 1);
+    task.controller.abort(error);
+    this._settle(task, () => task.reject(error));
+  }
+
+  _settle(task, fn) {
+    if (task.settled) return;
+    task.settled = true;
+    clearTimeout(task.timer);
+    fn();
+  }
+
   async _process() {
-    if (this._running || this._queue.length === 0) return;
-    this._running = true;
-    while (this._queue.length > 0) {
-      const { fn, resolve, reject } = this._queue.shift();
-      try {
-        resolve(await fn());
-      } catch (e) {
-        reject(e);
+    if (this._current || this._queue.length === 0) return;
+    const task = this._queue.shift();
+    this._current = task;
+    task.startedAt = Date.now();
+    // 超时从开始执行时计时，排队等待的时间不算在内
+    if (task.timeout) {
+      task.timer = setTimeout(() => {
+        this._abort(task, new Error(`Command timed out after ${task.timeout}ms`));
+      }, task.timeout);
+    }
+
+    const aborted = new Promise((_, reject) => {
+      task.controller.signal.addEventListener('abort', () => reject(task.controller.signal.reason), { once: true });
+    });
+    const running = Promise.resolve().then(() => task.fn(task.controller.signal));
+    try {
+      const result = await Promise.race([running, aborted]);
+      this._settle(task, () => task.resolve(result));
+    } catch (e) {
+      this._settle(task, () => task.reject(e));
+    }
+
+    // 调用方已经收到超时/取消的结果，但 click、goto 等不响应 signal 的操作可能仍在操作页面，
+    // 等它真正结束（最多 ABORT_SETTLE_TIMEOUT）再执行下一条命令，避免两条命令同时操作页面
+    if (task.controller.signal.aborted) {
+      let timer;
+      const finished = await Promise.race([
+        running.then(() => true, () => true),
+        new Promise((resolve) => { timer = setTimeout(() => resolve(false), ABORT_SETTLE_TIMEOUT); }),
+      ]);
+      clearTimeout(timer);
+      if (!finished) {
+        console.log(`[daemon] Aborted command ${task.id} still running after ${ABORT_SETTLE_TIMEOUT}ms, continuing with the queue`);
       }
     }
-    this._running = false;
+
+    this._current = null;
+    this._process();
   }
 }
 
@@ -48,12 +182,35 @@ class Daemon {
     this.startedAt = null;
     this.restartAttempts = 0;
     this.maxRestarts = 3;
+    this.session = null;
+    this.httpServer = null;
+    this.subscribers = new Set();
+    this.token = null;
+    this.monitor = null;
+    this.logger = null;
+    this.sessionStore = null;
+    this.stopping = false;
   }
 
   async start() {
-    const headless = process.argv.includes('--headless') || !process.argv.includes('--no-headless');
-
-    this.browserManager = new BrowserManager({ headless });
+    if (getArgValue('--session')) {
+      process.env.SHELLCHROME_SESSION = getArgValue('--session');
+    }
+    this.session = getSessionName();
+    this.logger = new Logger(getLogPath(this.session));
+    this.logger.capture();
+    this.token = process.env.SHELLCHROME_TOKEN || crypto.randomBytes(24).toString('hex');
+
+    const httpAddress = getArgValue('--http');
+    if (httpAddress) parseHttpAddress(httpAddress);
+
+    this.browserManager = new BrowserManager(getBrowserOptions());
+    const config = this.browserManager.loadConfig();
+    this.monitor = new ResourceMonitor(this, {
+      idleTimeout: getArgValue('--idle-timeout') ?? config.idleTimeout,
+      maxTabs: getArgValue('--max-tabs') ?? config.maxTabs,
+      maxMemory: getArgValue('--max-memory') ?? config.maxMemory,
+    });
     this.snapshotManager = new SnapshotManager(this.browserManager);
     this.actionExecutor = new ActionExecutor(this.browserManager, this.snapshotManager);
     this.automationManager = new AutomationManager();
@@ -61,15 +218,38 @@ class Daemon {
       this.browserManager,
       this.snapshotManager,
       this.actionExecutor,
-      this.automationManager
+      this.automationManager,
+      { allowedCommands: config.allowedCommands }
     );
+    const persistStorage = process.argv.includes('--persist-storage') || Boolean(config.persistStorage);
+    this.sessionStore = new SessionStore(this.browserManager, {
+      statePath: getStatePath(this.session),
+      storagePath: persistStorage ? getStoragePath(this.session) : null,
+    });
 
     await this.browserManager.start();
     this.startedAt = new Date().toISOString();
     this.restartAttempts = 0;
 
+    if (process.argv.includes('--restore')) {
+      await this.restoreSession();
+    }
+
+    this.browserManager.on('browserEvent', (event) => {
+      this.broadcast(event);
+      if (event.event === 'tab' && event.action === 'created') {
+        this.monitor.scheduleTabLimit();
+      }
+      if (event.event === 'tab' || event.event === 'navigation') {
+        this.sessionStore.scheduleSave();
+      }
+    });
+
     this.browserManager.on('disconnected', () => {
-      console.log('[daemon] Browser disconnected, attempting restart...');
+      if (this.stopping) return;
+      this.sessionStore.pause();
+      this.snapshotManager.invalidate('浏览器已重启');
+      console.log('[daemon] Browser disconnected (crashed or closed), attempting restart...');
       this.autoRestart();
     });
 
@@ -80,6 +260,8 @@ class Daemon {
 
     this.server = net.createServer((socket) => this.handleConnection(socket));
 
+    // 在 umask 下创建 socket，避免 chmod 之前的短暂窗口内其他用户可以连接
+    const previousUmask = socketInfo.type === 'unix' ? process.umask(0o077) : null;
     await new Promise((resolve, reject) => {
       const onError = (err) => {
         this.server.removeListener('listening', onListening);
@@ -96,15 +278,32 @@ class Daemon {
       } else {
         this.server.listen(socketInfo.path);
       }
+    }).finally(() => {
+      if (previousUmask !== null) process.umask(previousUmask);
     });
 
+    if (socketInfo.type === 'unix') {
+      fs.chmodSync(socketInfo.path, 0o600);
+    }
+
     if (socketInfo.type === 'tcp' && socketInfo.port === 0) {
       socketInfo.port = this.server.address().port;
     }
     this.socketInfo = socketInfo;
+
+    if (httpAddress) {
+      this.httpServer = new HttpServer(this);
+      await this.httpServer.start(httpAddress);
+      console.log(`[daemon] HTTP API listening on ${this.httpServer.address}`);
+    }
+
     this.writePidFile();
+    this.monitor.start();
+    if (this.monitor.maxMemory && this.browserManager.attached) {
+      console.log('[daemon] --max-memory is ignored when attached to an existing browser');
+    }
     const addr = socketInfo.type === 'tcp' ? `${socketInfo.host}:${socketInfo.port}` : socketInfo.path;
-    console.log(`[daemon] Started (PID: ${process.pid}, addr: ${addr})`);
+    console.log(`[daemon] Started (PID: ${process.pid}, session: ${this.session || 'default'}, addr: ${addr})`);
 
     process.on('SIGTERM', () => this.stop());
     process.on('SIGINT', () => this.stop());
@@ -113,11 +312,17 @@ class Daemon {
   writePidFile() {
     const pidData = {
       pid: process.pid,
+      session: this.session || 'default',
       socketPath: this.socketInfo || getSocketPath(),
       startedAt: this.startedAt,
       headless: this.browserManager.headless,
+      profile: this.browserManager.profile,
+      connect: this.browserManager.connect,
+      http: this.httpServer?.address,
+      token: this.token,
     };
-    fs.writeFileSync(getPidPath(), JSON.stringify(pidData, null, 2), 'utf-8');
+    fs.writeFileSync(getPidPath(), JSON.stringify(pidData, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    fs.chmodSync(getPidPath(), 0o600);
   }
 
   removePidFile() {
@@ -140,17 +345,99 @@ class Daemon {
     socket.on('error', () => {});
   }
 
+  getHealth() {
+    return {
+      type: 'health',
+      status: 'ok',
+      session: this.session || 'default',
+      uptime: Math.floor((Date.now() - new Date(this.startedAt).getTime()) / 1000),
+      pages: this.browserManager.pages.length,
+      currentUrl: this.browserManager.getCurrentPage()?.url() || 'none',
+      profile: this.browserManager.profile,
+      connect: this.browserManager.connect,
+      http: this.httpServer?.address,
+      queue: this.queue.status(),
+      limits: this.monitor?.getLimits(),
+      pid: process.pid,
+    };
+  }
+
+  runCommand(command, args = [], options = {}) {
+    return this.runQueued(
+      summarizeCommand(command, args),
+      (signal) => this.dispatcher.execute(command, args, { signal }),
+      options
+    );
+  }
+
+  runLine(line, options = {}) {
+    let words;
+    try {
+      words = tokenize(line);
+    } catch (e) {
+      words = line.trim().split(/\s+/);
+    }
+    return this.runQueued(
+      summarizeCommand(words[0] || '', words.slice(1)),
+      (signal) => this.dispatcher.dispatch(line, { signal }),
+      options
+    );
+  }
+
+  // label 会出现在日志、status 和 health 里，调用方传入 summarizeCommand 的结果
+  async runQueued(label, fn, options = {}) {
+    this.monitor?.touch();
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await this.queue.enqueue(fn, { id: options.id, timeout: options.timeout, label });
+    } catch (error) {
+      result = { success: false, error: error.message, displayType: 'error' };
+    }
+
+    const status = result?.success === false ? `failed: ${result.error}` : 'ok';
+    console.log(`[daemon] Command "${label}" ${status} (${Date.now() - startedAt}ms)`);
+    this.sessionStore?.scheduleSave();
+    return result;
+  }
+
+  isAuthorized(token) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(token);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
   async handleMessage(socket, msg) {
+    if (!this.isAuthorized(msg.token)) {
+      socket.write(encodeMessage({
+        id: msg.id,
+        type: msg.type,
+        success: false,
+        error: 'Unauthorized: missing or invalid token',
+        displayType: 'error',
+      }));
+      socket.end();
+      return;
+    }
+
     if (msg.type === 'health') {
-      const response = {
-        type: 'health',
-        status: 'ok',
-        uptime: Math.floor((Date.now() - new Date(this.startedAt).getTime()) / 1000),
-        pages: this.browserManager.pages.length,
-        currentUrl: this.browserManager.getCurrentPage()?.url() || 'none',
-        pid: process.pid,
-      };
-      socket.write(encodeMessage(response));
+      socket.write(encodeMessage(this.getHealth()));
+      return;
+    }
+
+    if (msg.type === 'cancel') {
+      try {
+        const cancelled = this.queue.cancel(msg.id);
+        socket.write(encodeMessage({ type: 'cancel', success: cancelled !== null, id: cancelled || msg.id }));
+      } catch (error) {
+        socket.write(encodeMessage({ type: 'cancel', success: false, id: msg.id, error: error.message }));
+      }
+      return;
+    }
+
+    if (msg.type === 'subscribe') {
+      this.subscribe(socket, msg.events);
       return;
     }
 
@@ -162,26 +449,47 @@ class Daemon {
     }
 
     if (msg.type === 'command') {
-      try {
-        const result = await this.queue.enqueue(() =>
-          this.dispatcher.dispatch(`${msg.command} ${msg.args.join(' ')}`.trim())
-        );
-        const response = { id: msg.id, ...result };
-        socket.write(encodeMessage(response));
-      } catch (error) {
-        socket.write(encodeMessage({
-          id: msg.id,
-          success: false,
-          error: error.message,
-          displayType: 'error',
-        }));
-      }
+      const options = { id: msg.id, timeout: msg.timeout };
+      const result = typeof msg.line === 'string'
+        ? await this.runLine(msg.line, options)
+        : await this.runCommand(msg.command, msg.args, options);
+      socket.write(encodeMessage({ id: msg.id, ...result }));
       return;
     }
 
     socket.write(encodeMessage({ error: 'Unknown message type' }));
   }
 
+  subscribe(socket, events) {
+    const requested = events && events.length > 0 ? events : EVENT_TYPES;
+    const unknown = requested.filter(e => !EVENT_TYPES.includes(e));
+    if (unknown.length > 0) {
+      socket.write(encodeMessage({
+        type: 'subscribe',
+        success: false,
+        error: `Unknown event type: ${unknown.join(', ')} (available: ${EVENT_TYPES.join(', ')})`,
+      }));
+      socket.end();
+      return;
+    }
+
+    const subscriber = { socket, events: new Set(requested) };
+    this.subscribers.add(subscriber);
+    socket.on('close', () => this.subscribers.delete(subscriber));
+    socket.write(encodeMessage({ type: 'subscribe', success: true, events: requested }));
+  }
+
+  broadcast(event) {
+    for (const subscriber of this.subscribers) {
+      if (!subscriber.events.has(event.event)) continue;
+      if (subscriber.socket.destroyed) {
+        this.subscribers.delete(subscriber);
+        continue;
+      }
+      subscriber.socket.write(encodeMessage({ type: 'event', data: event }));
+    }
+  }
+
   async autoRestart() {
     if (this.restartAttempts >= this.maxRestarts) {
       console.log(`[daemon] Max restart attempts (${this.maxRestarts}) reached, giving up`);
@@ -199,20 +507,59 @@ class Daemon {
       await this.browserManager.start();
       this.restartAttempts = 0;
       console.log('[daemon] Browser restarted successfully');
+      // 接管的外部浏览器重连后标签页仍在，不需要恢复
+      if (!this.browserManager.attached) {
+        await this.restoreSession();
+      }
+      this.sessionStore.resume();
     } catch (error) {
       console.log(`[daemon] Restart failed: ${error.message}`);
       this.autoRestart();
     }
   }
 
-  async stop() {
-    console.log('[daemon] Stopping...');
+  async restoreSession() {
+    try {
+      const result = await this.sessionStore.restore();
+      if (!result) {
+        console.log('[daemon] No saved session state to restore');
+        return;
+      }
+      console.log(`[daemon] Restored ${result.restored} tab(s) saved at ${result.savedAt}`);
+      for (const { url, error } of result.failed) {
+        console.log(`[daemon] Failed to restore ${url}: ${error}`);
+      }
+    } catch (error) {
+      console.log(`[daemon] Session restore failed: ${error.message}`);
+    }
+  }
+
+  async stop(reason) {
+    if (this.stopping) return;
+    this.stopping = true;
+    console.log(`[daemon] Stopping${reason ? ` (${reason})` : ''}...`);
+    this.monitor?.stop();
 
     if (this.server) {
       this.server.close();
       this.server = null;
     }
 
+    for (const { socket } of this.subscribers) {
+      socket.end();
+    }
+    this.subscribers.clear();
+
+    if (this.httpServer) {
+      await this.httpServer.stop().catch(() => {});
+      this.httpServer = null;
+    }
+
+    if (this.sessionStore) {
+      await this.sessionStore.save().catch(() => {});
+      this.sessionStore.pause();
+    }
+
     if (this.browserManager) {
       try {
         await this.browserManager.close();
@@ -239,4 +586,4 @@ if (require.main === module || process.argv[1]?.endsWith('daemon.js') || process
   });
 }
 
-module.exports = { Daemon };
+module.exports = { Daemon, getBrowserOptions };
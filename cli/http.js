@@ -0,0 +1,153 @@
+const http = require('http');
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+function parseHttpAddress(value) {
+  const match = String(value).match(/^(?:(.+):)?(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid --http address: ${value} (expected host:port or port)`);
+  }
+  const port = parseInt(match[2], 10);
+  if (port > 65535) {
+    throw new Error(`Invalid --http port: ${match[2]}`);
+  }
+  return { host: match[1] || '127.0.0.1', port };
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function sendError(res, statusCode, message) {
+  sendJson(res, statusCode, { success: false, error: message, displayType: 'error' });
+}
+
+class HttpServer {
+  constructor(daemon) {
+    this.daemon = daemon;
+    this.server = null;
+    this.address = null;
+  }
+
+  async start(address) {
+    const { host, port } = parseHttpAddress(address);
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        if (!res.headersSent) sendError(res, error.statusCode || 500, error.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    const actualPort = this.server.address().port;
+    this.address = `http://${host.includes(':') ? `[${host}]` : host}:${actualPort}`;
+    if (!isLoopback(host)) {
+      console.log(`[daemon] WARNING: HTTP API is listening on ${host}, reachable from other machines`);
+    }
+    return this.address;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const auth = req.headers.authorization || '';
+    if (!this.daemon.isAuthorized(auth.startsWith('Bearer ') ? auth.slice(7) : null)) {
+      return sendError(res, 401, 'Unauthorized: missing or invalid token');
+    }
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+
+    switch (route) {
+      case 'GET /':
+      case 'GET /health':
+        return sendJson(res, 200, this.daemon.getHealth());
+
+      case 'GET /commands':
+        return sendJson(res, 200, {
+          success: true,
+          displayType: 'help',
+          data: { commands: this.daemon.dispatcher.getCommandList() },
+        });
+
+      case 'POST /commands': {
+        let payload;
+        try {
+          payload = JSON.parse(await readBody(req) || '{}');
+        } catch (error) {
+          if (error.statusCode) throw error;
+          return sendError(res, 400, 'Request body must be JSON: {"command": "...", "args": [...]}');
+        }
+        const { command, args = [], timeout } = payload;
+        if (typeof command !== 'string' || !command.trim() || !Array.isArray(args)) {
+          return sendError(res, 400, 'Request body must be JSON: {"command": "...", "args": [...]}');
+        }
+        const result = await this.daemon.runCommand(command, args.map(String), { timeout: Number(timeout) || undefined });
+        return sendJson(res, result?.success === false ? 400 : 200, result);
+      }
+
+      case 'GET /pages':
+        return sendJson(res, 200, await this.daemon.runCommand('pages', []));
+
+      case 'GET /screenshot.png': {
+        // 与 screenshot 命令一样受 allowedCommands 限制，并经过队列的超时、日志和空闲计时
+        if (!this.daemon.dispatcher.isAllowed('screenshot')) {
+          return sendError(res, 403, 'Command screenshot is disabled (not in allowedCommands)');
+        }
+        const buffer = await this.daemon.runQueued(
+          'screenshot.png',
+          () => this.daemon.actionExecutor.screenshotBuffer(),
+          { timeout: Number(url.searchParams.get('timeout')) || undefined }
+        );
+        if (!Buffer.isBuffer(buffer)) {
+          return sendError(res, 500, buffer?.error || 'Screenshot failed');
+        }
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': buffer.length });
+        return res.end(buffer);
+      }
+
+      default:
+        if (['/', '/health', '/commands', '/pages', '/screenshot.png'].includes(url.pathname)) {
+          return sendError(res, 405, `Method ${req.method} not allowed on ${url.pathname}`);
+        }
+        return sendError(res, 404, `Not found: ${url.pathname}`);
+    }
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const closed = new Promise(resolve => this.server.close(resolve));
+    this.server.closeAllConnections();
+    await closed;
+    this.server = null;
+  }
+}
+
+module.exports = { HttpServer, parseHttpAddress };
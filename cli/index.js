@@ -3,11 +3,47 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { getPidPath, getSocketPath, encodeMessage } = require('./protocol');
-const { runClient, runHealthCheck, isDaemonRunning, getPidData } = require('./client');
+const { getPidPath, getSocketPath, getLogPath, validateSessionName } = require('./protocol');
+const { readLastLines } = require('./logger');
+const { expandFlags } = require('../core/args');
+const {
+  encodeRequest,
+  runClient,
+  runBatch,
+  runWatch,
+  showLogs,
+  cancelCommand,
+  runHealthCheck,
+  isDaemonRunning,
+  getPidData,
+  printSessions,
+} = require('./client');
+
+function extractSession(argv) {
+  const args = [...argv];
+  const index = args.indexOf('--session');
+  if (index !== -1) {
+    const name = args[index + 1];
+    if (!name) {
+      console.error('ERROR: --session requires a name');
+      process.exit(1);
+    }
+    args.splice(index, 2);
+    process.env.SHELLCHROME_SESSION = name;
+  }
+  if (process.env.SHELLCHROME_SESSION) {
+    try {
+      validateSessionName(process.env.SHELLCHROME_SESSION);
+    } catch (e) {
+      console.error(`ERROR: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  return args;
+}
 
 async function main() {
-  const [, , subcommand, ...rest] = process.argv;
+  const [subcommand, ...rest] = extractSession(process.argv.slice(2));
 
   if (!subcommand) {
     printUsage();
@@ -17,6 +53,17 @@ async function main() {
   const jsonFlag = rest.includes('--json');
   const filteredArgs = rest.filter(a => a !== '--json');
 
+  let timeout;
+  const timeoutIndex = filteredArgs.indexOf('--timeout');
+  if (timeoutIndex !== -1) {
+    timeout = parseInt(filteredArgs[timeoutIndex + 1]);
+    if (!(timeout > 0)) {
+      console.error('ERROR: --timeout requires a positive number of milliseconds');
+      process.exit(1);
+    }
+    filteredArgs.splice(timeoutIndex, 2);
+  }
+
   switch (subcommand) {
     case 'start':
       await startDaemon(filteredArgs);
@@ -27,6 +74,47 @@ async function main() {
     case 'status':
       await runHealthCheck();
       break;
+    case 'sessions':
+      printSessions({ json: jsonFlag });
+      break;
+    case 'run': {
+      const source = filteredArgs.find(a => !a.startsWith('--'));
+      if (!source) {
+        console.error('Usage: shellchrome-cli run <file|-> [--stop-on-error]');
+        process.exit(1);
+      }
+      process.exit(await runBatch(source, {
+        json: jsonFlag,
+        timeout,
+        stopOnError: filteredArgs.includes('--stop-on-error'),
+      }));
+    }
+    case 'cancel':
+      process.exit(await cancelCommand(filteredArgs[0]));
+    case 'watch': {
+      const index = filteredArgs.indexOf('--events');
+      const events = index !== -1 && filteredArgs[index + 1]
+        ? filteredArgs[index + 1].split(',').map(e => e.trim()).filter(Boolean)
+        : [];
+      process.exit(await runWatch(events, { quiet: filteredArgs.includes('--quiet') }));
+    }
+    case 'logs': {
+      const index = filteredArgs.indexOf('--lines');
+      const lines = index !== -1 ? parseInt(filteredArgs[index + 1], 10) : 50;
+      if (!(lines > 0)) {
+        console.error('Usage: shellchrome-cli logs [-f] [--lines N]');
+        process.exit(1);
+      }
+      process.exit(await showLogs({
+        lines,
+        follow: filteredArgs.includes('-f') || filteredArgs.includes('--follow'),
+      }));
+    }
+    case 'mcp': {
+      const { runMcpServer } = require('./mcp');
+      await runMcpServer();
+      process.exit(0);
+    }
     case 'help':
     case '-h':
     case '--help':
@@ -46,7 +134,8 @@ async function main() {
       return;
     }
     default:
-      const exitCode = await runClient(subcommand, filteredArgs, { json: jsonFlag });
+      // 来自 shell 的参数引号已被去掉，按 --flag=value 展开，与交互模式一致
+      const exitCode = await runClient(subcommand, expandFlags(filteredArgs), { json: jsonFlag, timeout });
       process.exit(exitCode);
   }
 }
@@ -66,8 +155,56 @@ function printUsage() {
   shellchrome-cli start [--no-headless]  启动守护进程（后台运行浏览器）
   shellchrome-cli stop                   停止守护进程（关闭浏览器）
   shellchrome-cli status                 查看守护进程状态
+  shellchrome-cli logs [-f] [--lines N]  查看守护进程日志（默认最后 50 行，-f 持续跟踪）
+
+  --no-headless      启动时显示浏览器窗口（默认无头模式）
+  --profile <名称>   使用持久化配置文件（保留登录状态、Cookie、localStorage）
+  --connect <地址>   连接已运行的 Chrome（ws://... 或 http://host:port），不启动新浏览器
+  --connect-port <端口>  连接本机 --remote-debugging-port 端口上的 Chrome
+  --executable-path <路径>  指定 Chrome / Chromium 可执行文件
+  --channel <渠道>          使用 Puppeteer 渠道：chrome / chrome-beta / chrome-canary 等
+  --lang <语言>             浏览器语言（默认 zh-CN）
+  --window-size <宽x高>     窗口大小，如 1280x800
+  --extra-arg <参数>        追加 Chrome 启动参数（可重复）
+  --sandbox                 启用 Chrome 沙箱（默认带 --no-sandbox 启动）
+  --http <地址:端口>        同时开启 HTTP API，如 127.0.0.1:8787（需带 Authorization: Bearer <令牌>，令牌见 PID 文件）
+  --idle-timeout <分钟>     空闲（没有命令）超过指定时间后自动停止
+  --max-tabs <数量>         标签页上限，超出时关闭最早打开的标签页
+  --max-memory <MB>         浏览器内存上限，超出时先关闭最早的标签页，仍超出则停止
+  --restore                 恢复上次会话的标签页和当前标签页
+  --persist-storage         同时保存并恢复 Cookie 与 localStorage/sessionStorage
+
+━━━━ MCP 服务器 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli mcp [启动参数]         以 stdio 方式运行 MCP 服务器（自带浏览器，不经过守护进程）
+
+  提供工具：open_page / navigate / list_elements / list_interactive_elements / click / fill /
+            find_and_click / press_key / screenshot / evaluate / wait_for_text
+  启动参数与 start 相同，如 --profile work、--no-headless、--connect-port 9222
+
+━━━━ 多会话 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli sessions               列出当前目录下的所有会话
 
-  --no-headless   启动时显示浏览器窗口（默认无头模式）
+  --session <名称>   指定会话（适用于 start / stop / status 及所有命令）
+                     也可通过环境变量 SHELLCHROME_SESSION 设置，不指定则为 default
+
+  示例：
+    shellchrome-cli start --session agent-a
+    shellchrome-cli o example.com --session agent-a
+    SHELLCHROME_SESSION=agent-b shellchrome-cli snapshot
+
+━━━━ 配置文件 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli profile                列出配置文件
+  shellchrome-cli profile create <名称>  创建配置文件
+  shellchrome-cli profile delete <名称>  删除配置文件
+  shellchrome-cli profile use <名称>     设为默认（写入 config.json，下次启动生效）
+  shellchrome-cli profile use --none     恢复为临时配置
+
+  示例：
+    shellchrome-cli start --profile work   使用 work 配置文件启动
+    shellchrome-cli start --connect-port 9222   接管本机已打开的 Chrome
 
 ━━━━ 标签页管理 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -91,8 +228,10 @@ function printUsage() {
   shellchrome-cli l --all        列出全部元素
   shellchrome-cli l --page 2     第2页元素
   shellchrome-cli l --page-size 20  每页20个元素
+  shellchrome-cli l --format json   以 JSON 树输出（也支持 yaml），含角色、名称、值、状态和子节点
   shellchrome-cli lc             列出可交互元素（按钮/输入框/链接）
   shellchrome-cli lc --all       列出全部可交互元素
+  shellchrome-cli ld             与上次快照对比，只输出新增(+)/移除(-)/变化(~)的元素
   shellchrome-cli s [路径]       截图保存（默认 ./image.png）
   shellchrome-cli sp             截图并在终端显示彩色色块
   shellchrome-cli st             截图并显示色块+文字叠加
@@ -100,6 +239,8 @@ function printUsage() {
 
   说明：
     l/lc 输出的每个元素带 [uid_N] 标识，用于后续点击/输入操作
+    元素存在期间 UID 保持不变；元素被移除或页面跳转后 UID 失效，需重新 l/lc
+    iframe 内的元素 UID 带 frame 编号（如 f1:uid_7），用法与普通 UID 相同
     --all 输出所有元素，适合 AI 一次性分析页面结构
     --page N --page-size M 用于分页查看大量元素
 
@@ -124,17 +265,93 @@ function printUsage() {
     shellchrome-cli k Control+A          全选
     shellchrome-cli sl 2                 停顿2秒
     shellchrome-cli wait 加载完成 5000   等待"加载完成"出现（最多5秒）
+    shellchrome-cli fc "Sign in"         含空格的参数用引号括起来
+    shellchrome-cli ft "用户 名" "hello world"
+    shellchrome-cli c css=#login         按 CSS 选择器点击（无需先 l）
+    shellchrome-cli t label=密码 123456  向标签为"密码"的输入框输入
+    shellchrome-cli wait text=加载完成   等待包含该文字的元素出现
+    shellchrome-cli c 'role=button[name="提交"]'
+
+  定位器（可代替 uid 用于 c/t/hover/wait，直接在页面里查找，无需先 l/lc）：
+    css=<选择器>  xpath=<表达式>  text=<文字>  role=<角色>[name="<名称>"]  label=<标签>
 
 ━━━━ 高级功能 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
   shellchrome-cli eval <js代码>     执行 JavaScript
-  shellchrome-cli console           查看控制台消息
-  shellchrome-cli network           查看网络请求（最近20个）
   shellchrome-cli ui                查看当前 UI 模式
   shellchrome-cli ui on             下次启动显示浏览器窗口
   shellchrome-cli ui off            下次启动无头模式
   shellchrome-cli status            查看浏览器状态
   shellchrome-cli h                 显示命令列表
+  shellchrome-cli console           查看控制台消息（所有标签页）
+    --level <级别>                  最低级别：error / warn / info / log / debug
+    --tab <id>                      只看指定标签页
+    --since <时间戳>                只看该时间之后的消息（毫秒或 ISO 时间）
+    --limit <N>                     只看最近 N 条
+    --clear                         输出后清空消息缓冲
+  shellchrome-cli network           查看网络请求（最近20个）
+    --type <类型>                   按资源类型过滤，如 xhr、fetch,document
+    --status <状态>                 按状态过滤，如 404、4xx、failed
+    --url <片段>                    按 URL 子串过滤
+    --tab <id>                      只看指定标签页
+    --limit <N> / --all             显示最近 N 个 / 全部
+  shellchrome-cli net show <编号>   查看请求详情（请求头、响应头、响应体）
+  shellchrome-cli net clear         清空网络请求记录
+  shellchrome-cli har start [--all] 开始录制 HAR（当前标签页 / 所有标签页）
+  shellchrome-cli har stop <文件>   结束录制并保存 HAR 1.2 文件
+
+━━━━ Cookie 与登录状态 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli cookies [list] [--all]         列出当前站点（或全部）Cookie
+  shellchrome-cli cookies get <名称>             查看指定 Cookie
+  shellchrome-cli cookies set <名称> <值>        设置 Cookie（默认当前站点）
+    --domain <域名> --path <路径> --secure --http-only --expires <unix秒>
+  shellchrome-cli cookies delete <名称>          删除 Cookie
+  shellchrome-cli cookies clear [--all]          清除当前站点（或全部）Cookie
+  shellchrome-cli state save <文件.json>         保存 Cookie + localStorage + sessionStorage
+  shellchrome-cli state load <文件.json>         恢复保存的状态
+
+  示例：
+    shellchrome-cli state save ./login.json    登录后保存状态
+    shellchrome-cli state load ./login.json    新会话中恢复登录状态
+
+━━━━ 设备与环境模拟 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli emulate                       查看当前模拟设置
+  shellchrome-cli emulate devices               列出可用设备预设
+  shellchrome-cli emulate device <设备名>       模拟设备（视口、DPR、触屏、UA）
+  shellchrome-cli emulate geo <纬度> <经度>     模拟地理位置
+  shellchrome-cli emulate tz <时区>             模拟时区，如 America/New_York
+  shellchrome-cli emulate locale <语言>         模拟语言区域，如 en-US
+  shellchrome-cli emulate color dark|light      模拟 prefers-color-scheme
+  shellchrome-cli emulate motion reduce         模拟 prefers-reduced-motion
+  shellchrome-cli emulate cpu <倍数>            CPU 降速（1 表示不限速）
+  shellchrome-cli emulate net <预设>            网络：offline / slow3g / fast3g / slow4g / fast4g / online
+  shellchrome-cli emulate reset                 清除模拟设置
+
+  --all   应用到所有标签页，并作为之后新开标签页的默认设置
+
+  示例：
+    shellchrome-cli emulate device iPhone 13 Pro --all
+    shellchrome-cli emulate locale en-US
+
+━━━━ 请求拦截 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli route block <模式>              拦截匹配的请求
+  shellchrome-cli route mock <模式> <文件> [状态] 用文件内容作为响应
+  shellchrome-cli route header <模式> X-Foo=bar   为匹配的请求添加请求头
+  shellchrome-cli route list                      列出规则及命中次数
+  shellchrome-cli route rm <编号>                 删除规则
+  shellchrome-cli route clear                     清除所有规则
+
+  说明：
+    模式不含 * 时按 URL 子串匹配，含 * 时按通配符匹配整个 URL
+    规则对所有已打开和之后新开的标签页生效
+
+  示例：
+    shellchrome-cli route block '*.png'                   不加载 PNG 图片
+    shellchrome-cli route mock '*/api/user' ./user.json   模拟接口返回
+    shellchrome-cli route mock '*/api/pay' ./err.json 500 模拟接口报错
 
 ━━━━ 自动化 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -143,13 +360,37 @@ function printUsage() {
 
   注意：自动化录制（a s / a e）仅在交互模式（REPL）中可用。
 
+━━━━ 批量执行 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli run <文件>             逐行执行文件中的命令（共用一个连接）
+  shellchrome-cli run -                  从标准输入读取命令
+  --stop-on-error                        遇到失败的命令立即停止
+
+  每行一条命令（与交互模式写法相同），空行和 # 开头的行会被忽略。
+  全部成功时退出码为 0，否则为 1；加 --json 时每行输出一个 JSON 结果。
+
+  示例：
+    printf 'o example.com\\nlc\\n' | shellchrome-cli run -
+
+━━━━ 事件订阅 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+  shellchrome-cli watch                          以 NDJSON 持续输出所有事件，Ctrl+C 结束
+  shellchrome-cli watch --events console,tab     只订阅指定事件
+
+  事件类型：console（控制台/页面异常）、network（请求完成或失败）、
+            navigation（主框架导航）、dialog（alert/confirm/prompt）、tab（标签页打开/关闭）
+
 ━━━━ 输出控制 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-  --json    输出原始 JSON 格式（便于程序解析）
+  --json            输出原始 JSON 格式（便于程序解析）
+  --timeout <毫秒>  命令超时时间（默认不限时），从开始执行时计时，超时后守护进程会中止该命令
 
   示例：
     shellchrome-cli p --json           标签页列表（JSON）
     shellchrome-cli status --json      状态信息（JSON）
+    shellchrome-cli wait 加载完成 60000 --timeout 65000
+
+  shellchrome-cli cancel [编号]      取消正在执行（或排队中）的命令，编号见 status
 
 ━━━━ 典型使用流程 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
@@ -172,7 +413,7 @@ function printUsage() {
 async function startDaemon(args) {
   if (isDaemonRunning()) {
     const pidData = getPidData();
-    console.log(`Daemon already running (PID: ${pidData?.pid || 'unknown'})`);
+    console.log(`Daemon already running (PID: ${pidData?.pid || 'unknown'}, session: ${pidData?.session || 'default'})`);
     process.exit(0);
   }
 
@@ -180,6 +421,10 @@ async function startDaemon(args) {
                  !process.execPath.endsWith('node.exe') &&
                  !process.execPath.includes('node_modules');
 
+  // 记录启动前的日志位置，启动失败时只打印本次启动的日志
+  const logPath = getLogPath();
+  const logOffset = fs.existsSync(logPath) ? fs.statSync(logPath).size : 0;
+
   let child;
   if (isNexe) {
     child = spawn(process.execPath, ['--daemon', ...args], {
@@ -196,6 +441,8 @@ async function startDaemon(args) {
     });
   }
 
+  let exitCode = null;
+  child.on('exit', (code) => { exitCode = code ?? 1; });
   child.unref();
 
   const pidPath = getPidPath();
@@ -209,6 +456,12 @@ async function startDaemon(args) {
     await new Promise(resolve => setTimeout(resolve, interval));
     waited += interval;
 
+    if (exitCode !== null && !fs.existsSync(pidPath)) {
+      console.error(`Daemon exited during startup (code ${exitCode})`);
+      printStartupLog(logOffset);
+      process.exit(1);
+    }
+
     if (fs.existsSync(pidPath)) {
       try {
         const pidData = JSON.parse(fs.readFileSync(pidPath, 'utf-8'));
@@ -219,10 +472,19 @@ async function startDaemon(args) {
   }
 
   console.error('Daemon failed to start within 60 seconds');
+  printStartupLog(logOffset);
   console.error('Try running manually: node cli/daemon.js');
   process.exit(1);
 }
 
+function printStartupLog(offset) {
+  const logPath = getLogPath();
+  const lines = readLastLines(logPath, 20, offset);
+  if (!lines || lines.length === 0) return;
+  console.error(`Last lines of ${logPath}:`);
+  for (const line of lines) console.error(`  ${line}`);
+}
+
 async function stopDaemon() {
   if (!isDaemonRunning()) {
     console.log('Daemon is not running');
@@ -239,10 +501,10 @@ async function stopDaemon() {
     await new Promise((resolve) => {
       const socket = socketInfo.type === 'tcp'
         ? net.createConnection(socketInfo.port, socketInfo.host, () => {
-            socket.write(encodeMessage({ type: 'shutdown' }));
+            socket.write(encodeRequest({ type: 'shutdown' }));
           })
         : net.createConnection(socketInfo.path, () => {
-            socket.write(encodeMessage({ type: 'shutdown' }));
+            socket.write(encodeRequest({ type: 'shutdown' }));
           });
 
       socket.on('data', () => {});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const util = require('util');
+
+const MAX_LOG_SIZE = 5 * 1024 * 1024;
+const MAX_LOG_FILES = 3;
+
+class Logger {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxSize = options.maxSize || MAX_LOG_SIZE;
+    this.maxFiles = options.maxFiles || MAX_LOG_FILES;
+    try {
+      this.size = fs.statSync(filePath).size;
+    } catch (e) {
+      this.size = 0;
+    }
+  }
+
+  write(message) {
+    const line = `${new Date().toISOString()} ${message}\n`;
+    try {
+      if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxSize) {
+        this.rotate();
+      }
+      fs.appendFileSync(this.filePath, line, { mode: 0o600 });
+      this.size += Buffer.byteLength(line);
+    } catch (e) {}
+  }
+
+  // .log -> .log.1 -> .log.2 ...，超出 maxFiles 的最旧文件被覆盖
+  rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = i === 1 ? this.filePath : `${this.filePath}.${i - 1}`;
+      try { fs.renameSync(from, `${this.filePath}.${i}`); } catch (e) {}
+    }
+    this.size = 0;
+  }
+
+  // 守护进程以 stdio: 'ignore' 启动，console 输出同时写入日志文件才不会丢失
+  capture() {
+    for (const method of ['log', 'error']) {
+      const original = console[method].bind(console);
+      console[method] = (...args) => {
+        this.write(util.format(...args));
+        original(...args);
+      };
+    }
+  }
+}
+
+// offset 之后的最后 count 行；文件比 offset 小（已轮转）时从头读
+function readLastLines(filePath, count, offset = 0) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(filePath);
+  } catch (e) {
+    return null;
+  }
+  const content = buffer.subarray(buffer.length >= offset ? offset : 0).toString('utf-8');
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines.slice(-count);
+}
+
+module.exports = { Logger, readLastLines };
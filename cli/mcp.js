@@ -0,0 +1,303 @@
+const readline = require('readline');
+const { BrowserManager } = require('../core/browser-manager');
+const { SnapshotManager } = require('../core/snapshot');
+const { ActionExecutor } = require('../core/actions');
+const { AutomationManager } = require('../core/automation');
+const { CommandDispatcher } = require('../core/commands');
+const { getBrowserOptions } = require('./daemon');
+const { formatResult } = require('./output');
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const PAGING_PROPERTIES = {
+  page: { type: 'integer', minimum: 1, description: 'Page number of the result list (omit to return everything)' },
+  pageSize: { type: 'integer', minimum: 1, description: 'Items per page (default 50)' },
+};
+
+function pagingArgs({ page, pageSize }) {
+  const args = [];
+  if (page) args.push('--page', String(page));
+  if (pageSize) args.push('--page-size', String(pageSize));
+  return args;
+}
+
+const TOOLS = [
+  {
+    name: 'open_page',
+    description: 'Open a URL in a new tab and make it the current tab. "https://" is added when the scheme is missing.',
+    inputSchema: {
+      type: 'object',
+      properties: { url: { type: 'string', description: 'URL to open' } },
+      required: ['url'],
+    },
+    command: 'open',
+    args: ({ url }) => [url],
+  },
+  {
+    name: 'navigate',
+    description: 'Navigate the current tab to a URL.',
+    inputSchema: {
+      type: 'object',
+      properties: { url: { type: 'string', description: 'URL to navigate to' } },
+      required: ['url'],
+    },
+    command: 'navigate',
+    args: ({ url }) => [url],
+  },
+  {
+    name: 'list_elements',
+    description: 'Take an accessibility snapshot of the current tab and list all elements with their uids. ' +
+      'Use format "json" or "yaml" for the full tree with role, name, value, states and children (paging is ignored).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...PAGING_PROPERTIES,
+        format: { type: 'string', enum: ['text', 'json', 'yaml'], description: 'Output format (default text)' },
+      },
+    },
+    command: 'elements',
+    args: (input) => [...pagingArgs(input), ...(input.format ? ['--format', input.format] : [])],
+  },
+  {
+    name: 'list_interactive_elements',
+    description: 'Take an accessibility snapshot and list only interactive elements (links, buttons, inputs…) with their uids.',
+    inputSchema: { type: 'object', properties: PAGING_PROPERTIES },
+    command: 'lc',
+    args: pagingArgs,
+  },
+  {
+    name: 'diff_elements',
+    description: 'Take a new accessibility snapshot and list only the elements added, removed or changed (name, value, state) since the previous snapshot. Cheaper than list_elements after an action.',
+    inputSchema: { type: 'object', properties: {} },
+    command: 'ld',
+    args: () => [],
+  },
+  {
+    name: 'click',
+    description: 'Click an element by uid from the latest snapshot, or by locator without a snapshot.',
+    inputSchema: {
+      type: 'object',
+      properties: { uid: { type: 'string', description: 'Element uid, e.g. uid_12 (or f1:uid_12 inside an iframe), or a locator: css=#login, xpath=//button[1], text=Sign in, role=button[name="Submit"], label=Password' } },
+      required: ['uid'],
+    },
+    command: 'click',
+    args: ({ uid }) => [uid],
+  },
+  {
+    name: 'fill',
+    description: 'Type text into an input element by uid from the latest snapshot, or by locator without a snapshot.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        uid: { type: 'string', description: 'Element uid, e.g. uid_12 (or f1:uid_12 inside an iframe), or a locator: css=#login, xpath=//button[1], text=Sign in, role=button[name="Submit"], label=Password' },
+        text: { type: 'string', description: 'Text to type' },
+      },
+      required: ['uid', 'text'],
+    },
+    command: 'fill',
+    args: ({ uid, text }) => [uid, text],
+  },
+  {
+    name: 'find_and_click',
+    description: 'Find an element by its visible text and click it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text to search for' },
+        index: { type: 'integer', minimum: 1, description: 'Which match to click when several elements match (default 1)' },
+      },
+      required: ['text'],
+    },
+    command: 'fc',
+    args: ({ text, index }) => (index ? [text, String(index)] : [text]),
+  },
+  {
+    name: 'press_key',
+    description: 'Press a key or key combination in the current tab, e.g. "Enter" or "Control+A".',
+    inputSchema: {
+      type: 'object',
+      properties: { key: { type: 'string', description: 'Key name' } },
+      required: ['key'],
+    },
+    command: 'key',
+    args: ({ key }) => [key],
+  },
+  {
+    name: 'screenshot',
+    description: 'Take a PNG screenshot of the current tab. Returns the image, or saves it when a path is given.',
+    inputSchema: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'File path to save the screenshot to' } },
+    },
+    command: 'screenshot',
+    args: ({ path }) => (path ? [path] : null),
+  },
+  {
+    name: 'evaluate',
+    description: 'Evaluate a JavaScript expression in the current tab and return the JSON-serialised result.',
+    inputSchema: {
+      type: 'object',
+      properties: { code: { type: 'string', description: 'JavaScript expression' } },
+      required: ['code'],
+    },
+    command: 'eval',
+    args: ({ code }) => [code],
+  },
+  {
+    name: 'wait_for_text',
+    description: 'Wait until the given text appears in the current tab, or until a locator such as css=.result matches an element.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text or locator to wait for' },
+        timeout: { type: 'integer', minimum: 0, description: 'Timeout in milliseconds (default 10000)' },
+      },
+      required: ['text'],
+    },
+    command: 'wait',
+    args: ({ text, timeout }) => (timeout !== undefined ? [text, String(timeout)] : [text]),
+  },
+];
+
+class McpServer {
+  constructor() {
+    this.browserManager = new BrowserManager(getBrowserOptions());
+    const snapshotManager = new SnapshotManager(this.browserManager);
+    this.actionExecutor = new ActionExecutor(this.browserManager, snapshotManager);
+    this.dispatcher = new CommandDispatcher(
+      this.browserManager,
+      snapshotManager,
+      this.actionExecutor,
+      new AutomationManager(),
+      { allowedCommands: this.browserManager.loadConfig().allowedCommands }
+    );
+    this.starting = null;
+    this.pending = Promise.resolve();
+  }
+
+  getTools() {
+    return TOOLS.filter(tool => this.dispatcher.isAllowed(tool.command));
+  }
+
+  async ensureBrowser() {
+    if (!this.starting) {
+      this.starting = this.browserManager.start().catch((error) => {
+        this.starting = null;
+        throw error;
+      });
+    }
+    await this.starting;
+  }
+
+  send(message) {
+    process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  }
+
+  async handleMessage(msg) {
+    if (msg.id === undefined || msg.id === null) return;
+
+    try {
+      const result = await this.handleRequest(msg.method, msg.params || {});
+      this.send({ id: msg.id, result });
+    } catch (error) {
+      this.send({ id: msg.id, error: { code: error.code || -32603, message: error.message } });
+    }
+  }
+
+  async handleRequest(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name: 'shellchrome', version },
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: this.getTools().map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {});
+      default:
+        throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+    }
+  }
+
+  callTool(name, input) {
+    const tool = this.getTools().find(t => t.name === name);
+    if (!tool) {
+      throw Object.assign(new Error(`Unknown tool: ${name}`), { code: -32602 });
+    }
+    for (const key of tool.inputSchema.required || []) {
+      if (input[key] === undefined || input[key] === '') {
+        return { content: [{ type: 'text', text: `ERROR: missing argument "${key}"` }], isError: true };
+      }
+    }
+
+    const run = this.pending.then(() => this.runTool(tool, input));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async runTool(tool, input) {
+    try {
+      await this.ensureBrowser();
+    } catch (error) {
+      return { content: [{ type: 'text', text: `ERROR: ${error.message}` }], isError: true };
+    }
+
+    const args = tool.args(input);
+    if (!args) {
+      try {
+        const buffer = await this.actionExecutor.screenshotBuffer();
+        return { content: [{ type: 'image', data: buffer.toString('base64'), mimeType: 'image/png' }] };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `ERROR: ${error.message}` }], isError: true };
+      }
+    }
+
+    const result = await this.dispatcher.execute(tool.command, args);
+    return {
+      content: [{ type: 'text', text: formatResult(result) }],
+      isError: !result.success,
+    };
+  }
+
+  async close() {
+    if (this.starting) {
+      try {
+        await this.starting;
+        await this.browserManager.close();
+      } catch (e) {}
+    }
+  }
+}
+
+async function runMcpServer() {
+  // stdout 只用于输出 JSON-RPC 消息
+  console.log = console.error;
+
+  const server = new McpServer();
+  const rl = readline.createInterface({ input: process.stdin });
+
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch (e) {
+      server.send({ id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+    server.handleMessage(msg);
+  });
+
+  await new Promise(resolve => rl.on('close', resolve));
+  await server.pending;
+  await server.close();
+}
+
+module.exports = { McpServer, runMcpServer, TOOLS };
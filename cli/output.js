@@ -14,6 +14,8 @@ function formatResult(result, options = {}) {
       return formatPages(result.data);
     case 'elements':
       return formatElements(result.data);
+    case 'tree':
+      return result.data.text;
     case 'image':
       return formatImage(result.data);
     case 'status':
@@ -53,23 +55,46 @@ function formatText(data) {
   }
 
   if (data.messages !== undefined) {
-    if (data.messages.length === 0) return 'OK\n（无控制台消息）';
-    return 'OK\n' + data.messages.map(m => `[${m.type || 'log'}] ${m.text || m}`).join('\n');
+    const lines = ['OK'];
+    if (data.messages.length === 0) lines.push('（无控制台消息）');
+    for (const m of data.messages) lines.push(formatConsoleMessage(m));
+    if (data.cleared) lines.push('（已清空控制台消息）');
+    return lines.join('\n');
   }
 
   if (data.requests !== undefined) {
     if (data.requests.length === 0) return 'OK\n（无网络请求）';
     const lines = [`OK (${data.total} 个请求)`];
     for (const req of data.requests) {
-      lines.push(`${req.method || 'GET'} ${req.url || req}`);
+      lines.push(formatNetworkRequest(req));
     }
-    if (data.total > 20) lines.push(`... 还有 ${data.total - 20} 个请求`);
+    if (data.total > data.requests.length) lines.push(`... 还有 ${data.total - data.requests.length} 个更早的请求`);
     return lines.join('\n');
   }
 
   return `OK\n${JSON.stringify(data)}`;
 }
 
+function formatConsoleMessage(m) {
+  const time = m.timestamp ? new Date(m.timestamp).toLocaleTimeString('zh-CN', { hour12: false }) : '';
+  const tab = m.tabId ? ` [tab ${m.tabId}]` : '';
+  const location = m.location ? ` (${m.location.url}:${(m.location.lineNumber ?? 0) + 1}:${(m.location.columnNumber ?? 0) + 1})` : '';
+  return `[${m.type || 'log'}] ${time}${tab} ${m.text}${location}`;
+}
+
+function formatNetworkRequest(req) {
+  const status = req.failure ? `ERR(${req.failure})` : (req.status ?? '...');
+  const duration = req.duration !== null && req.duration !== undefined ? `${req.duration}ms` : '-';
+  const size = req.size !== null && req.size !== undefined ? formatSize(req.size) : '-';
+  return `#${req.id} ${req.method} ${status} ${req.resourceType} ${duration} ${size} ${req.url}`;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
 function formatPages(data) {
   if (data.pages.length === 0) {
     return 'OK\n（无标签页）';
@@ -118,4 +143,4 @@ function formatHelp(data) {
   return data.text || 'OK';
 }
 
-module.exports = { formatResult };
+module.exports = { formatResult, formatConsoleMessage, formatNetworkRequest };
@@ -1,17 +1,74 @@
 const os = require('os');
 const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
 
-function getSocketPath() {
+const PID_FILE_PATTERN = /^\.shellchrome(?:-([\w.-]+))?\.pid$/;
+
+function validateSessionName(name) {
+  if (!/^[\w.-]+$/.test(name) || name === '.' || name === '..') {
+    throw new Error(`Invalid session name: ${name} (use letters, digits, "_", "." and "-")`);
+  }
+  return name;
+}
+
+function getSessionName() {
+  const name = process.env.SHELLCHROME_SESSION;
+  return name && name !== 'default' ? validateSessionName(name) : null;
+}
+
+function getSocketPath(session = getSessionName()) {
   const hash = crypto.createHash('md5').update(process.cwd()).digest('hex').slice(0, 8);
   if (process.platform === 'win32') {
     return { type: 'tcp', port: 0, host: '127.0.0.1' };
   }
-  return { type: 'unix', path: path.join(os.tmpdir(), `shellchrome-${hash}.sock`) };
+  const suffix = session ? `-${session}` : '';
+  return { type: 'unix', path: path.join(os.tmpdir(), `shellchrome-${hash}${suffix}.sock`) };
+}
+
+function getSessionFilePath(extension, session) {
+  const suffix = session ? `-${session}` : '';
+  return path.join(process.cwd(), `.shellchrome${suffix}${extension}`);
+}
+
+function getPidPath(session = getSessionName()) {
+  return getSessionFilePath('.pid', session);
+}
+
+function getLogPath(session = getSessionName()) {
+  return getSessionFilePath('.log', session);
 }
 
-function getPidPath() {
-  return path.join(process.cwd(), '.shellchrome.pid');
+function getStatePath(session = getSessionName()) {
+  return getSessionFilePath('.state.json', session);
+}
+
+function getStoragePath(session = getSessionName()) {
+  return getSessionFilePath('.storage.json', session);
+}
+
+function listSessions() {
+  const sessions = [];
+  for (const file of fs.readdirSync(process.cwd())) {
+    const match = file.match(PID_FILE_PATTERN);
+    if (!match) continue;
+
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(process.cwd(), file), 'utf-8'));
+    } catch (e) {}
+
+    let running = false;
+    if (data && data.pid) {
+      try {
+        process.kill(data.pid, 0);
+        running = true;
+      } catch (e) {}
+    }
+
+    sessions.push({ name: match[1] || 'default', pidPath: path.join(process.cwd(), file), data, running });
+  }
+  return sessions.sort((a, b) => a.name.localeCompare(b.name));
 }
 
 function encodeMessage(obj) {
@@ -34,4 +91,15 @@ function decodeMessages(buffer) {
   return { messages, remainder: remainder || '' };
 }
 
-module.exports = { getSocketPath, getPidPath, encodeMessage, decodeMessages };
+module.exports = {
+  getSessionName,
+  validateSessionName,
+  getSocketPath,
+  getPidPath,
+  getLogPath,
+  getStatePath,
+  getStoragePath,
+  listSessions,
+  encodeMessage,
+  decodeMessages,
+};
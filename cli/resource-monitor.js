@@ -0,0 +1,173 @@
+const { execFile } = require('child_process');
+
+const CHECK_INTERVAL = 30000;
+
+function parsePositive(value, name) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw new Error(`Invalid ${name}: ${value} (expected a positive number)`);
+  }
+  return number;
+}
+
+function getProcessTreeMemory(rootPid) {
+  return new Promise((resolve) => {
+    execFile('ps', ['-A', '-o', 'pid=,ppid=,rss='], (error, stdout) => {
+      if (error) {
+        resolve(null);
+        return;
+      }
+
+      const children = new Map();
+      const rss = new Map();
+      for (const line of stdout.trim().split('\n')) {
+        const [pid, ppid, kb] = line.trim().split(/\s+/).map(Number);
+        rss.set(pid, kb);
+        if (!children.has(ppid)) children.set(ppid, []);
+        children.get(ppid).push(pid);
+      }
+
+      let total = 0;
+      const stack = [rootPid];
+      while (stack.length > 0) {
+        const pid = stack.pop();
+        total += rss.get(pid) || 0;
+        stack.push(...(children.get(pid) || []));
+      }
+      resolve(total * 1024);
+    });
+  });
+}
+
+class ResourceMonitor {
+  constructor(daemon, limits = {}) {
+    this.daemon = daemon;
+    this.idleTimeout = parsePositive(limits.idleTimeout, 'idle timeout');
+    this.maxTabs = parsePositive(limits.maxTabs, 'max tabs');
+    this.maxMemory = parsePositive(limits.maxMemory, 'max memory');
+    this.lastActivity = Date.now();
+    this.timer = null;
+    this.checking = false;
+    this.scheduled = new Set();
+  }
+
+  hasLimits() {
+    return Boolean(this.idleTimeout || this.maxTabs || this.maxMemory);
+  }
+
+  getLimits() {
+    return {
+      idleTimeoutMinutes: this.idleTimeout,
+      maxTabs: this.maxTabs,
+      maxMemoryMB: this.maxMemory,
+      idleMs: Date.now() - this.lastActivity,
+    };
+  }
+
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  start() {
+    if (!this.hasLimits()) return;
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      if (await this.checkIdle()) return;
+      this.scheduleTabLimit();
+      this.scheduleMemoryCheck();
+    } catch (error) {
+      console.log(`[daemon] Resource check failed: ${error.message}`);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async checkIdle() {
+    if (!this.idleTimeout) return false;
+    const queue = this.daemon.queue.status();
+    if (queue.running || queue.queued.length > 0) {
+      this.touch();
+      return false;
+    }
+    const idleMinutes = (Date.now() - this.lastActivity) / 60000;
+    if (idleMinutes < this.idleTimeout) return false;
+
+    await this.daemon.stop(`idle for ${Math.floor(idleMinutes)} minutes (--idle-timeout ${this.idleTimeout})`);
+    return true;
+  }
+
+  // 关标签页、停止浏览器都放进命令队列，等正在执行的命令（比如 o <url> 还在导航的新标签页）结束后再做；
+  // 同一种检查在队列里最多排一个
+  schedule(label, fn) {
+    if (this.scheduled.has(label)) return;
+    this.scheduled.add(label);
+    this.daemon.queue.enqueue(() => {
+      this.scheduled.delete(label);
+      return fn();
+    }, { label }).catch((error) => {
+      console.log(`[daemon] Resource check failed: ${error.message}`);
+    }).finally(() => {
+      this.scheduled.delete(label);
+    });
+  }
+
+  scheduleTabLimit() {
+    if (!this.maxTabs) return;
+    this.schedule('tab limit check', () => this.enforceTabLimit());
+  }
+
+  scheduleMemoryCheck() {
+    if (!this.maxMemory) return;
+    this.schedule('memory check', () => this.checkMemory());
+  }
+
+  async enforceTabLimit() {
+    if (!this.maxTabs) return;
+    const browserManager = this.daemon.browserManager;
+    await browserManager.refreshPages();
+    while (browserManager.pages.length > this.maxTabs) {
+      if (!await this.closeOldestTab(`tab limit ${this.maxTabs} exceeded`)) break;
+    }
+  }
+
+  async closeOldestTab(reason) {
+    const browserManager = this.daemon.browserManager;
+    const oldest = browserManager.pages.find(p => (
+      p._page !== browserManager.getCurrentPage() && !browserManager.openingPages.has(p._page)
+    ));
+    if (!oldest) return false;
+
+    console.log(`[daemon] Closing tab ${oldest.id} (${oldest._page.url()}): ${reason}`);
+    await browserManager.closePage(oldest.id);
+    return true;
+  }
+
+  async checkMemory() {
+    if (!this.maxMemory) return;
+    const pid = this.daemon.browserManager.browser?.process()?.pid;
+    if (!pid) return;
+
+    const bytes = await getProcessTreeMemory(pid);
+    if (bytes === null) return;
+    const usedMB = Math.round(bytes / 1024 / 1024);
+    if (usedMB <= this.maxMemory) return;
+
+    const reason = `browser memory ${usedMB}MB exceeds --max-memory ${this.maxMemory}MB`;
+    if (this.daemon.browserManager.pages.length > 1 && await this.closeOldestTab(reason)) return;
+    await this.daemon.stop(reason);
+  }
+}
+
+module.exports = { ResourceMonitor, getProcessTreeMemory };
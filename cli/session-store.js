@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+const SAVE_DELAY = 1000;
+
+class SessionStore {
+  constructor(browserManager, options = {}) {
+    this.browserManager = browserManager;
+    this.statePath = options.statePath;
+    this.storagePath = options.storagePath || null;
+    this.timer = null;
+    this.paused = false;
+  }
+
+  // 导航、开关标签页和命令执行后都会调用，合并成一次写入
+  scheduleSave() {
+    if (this.paused) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save().catch((error) => {
+        console.log(`[daemon] Failed to save session state: ${error.message}`);
+      });
+    }, SAVE_DELAY);
+    this.timer.unref();
+  }
+
+  // 浏览器断开后页面列表已失效，暂停保存以免覆盖上一次的正常状态
+  pause() {
+    this.paused = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  async save() {
+    if (this.paused || !this.browserManager.isRunning()) return;
+    await this.browserManager.refreshPages();
+    const state = { savedAt: new Date().toISOString(), ...this.browserManager.getSessionState() };
+    if (state.tabs.length === 0) return;
+
+    fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2), { mode: 0o600 });
+    if (this.storagePath) {
+      await this.browserManager.storage.saveState(this.storagePath);
+    }
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async restore() {
+    const state = this.load();
+    if (!state) return null;
+
+    if (this.storagePath && fs.existsSync(this.storagePath)) {
+      await this.browserManager.storage.loadState(this.storagePath);
+    }
+    const result = await this.browserManager.restoreSessionState(state);
+    return { ...result, savedAt: state.savedAt };
+  }
+}
+
+module.exports = { SessionStore };
@@ -1,18 +1,40 @@
+const { isLocator, findElement, waitForElement } = require('./locator');
+
 class ActionExecutor {
   constructor(browserManager, snapshotManager) {
     this.browserManager = browserManager;
     this.snapshotManager = snapshotManager;
   }
 
-  async click(uid) {
-    if (!this.snapshotManager.getLastSnapshot() || !this.snapshotManager.getNodeByUid(uid)) {
-      await this.snapshotManager.takeSnapshot();
+  // 定位器（css=、xpath=、text=、role=、label=）直接在页面里查找，不需要先获取快照
+  async resolveElement(target) {
+    if (isLocator(target)) {
+      const handle = await findElement(this.browserManager.getCurrentPage(), target);
+      if (!handle) throw new Error(`未找到匹配 ${target} 的元素`);
+      return handle;
     }
 
-    const handle = await this.snapshotManager.getElementByUid(uid);
-    const page = this.browserManager.getCurrentPage();
+    this.snapshotManager.assertValid();
+    if (!this.snapshotManager.getLastSnapshot() || !this.snapshotManager.getNodeByUid(target)) {
+      await this.snapshotManager.takeSnapshot();
+    }
+    return await this.snapshotManager.getElementByUid(target);
+  }
 
+  // 元素句柄对应页面里的远程对象，用完必须释放
+  async withElement(target, fn) {
+    const handle = await this.resolveElement(target);
     try {
+      return await fn(handle);
+    } finally {
+      await handle.dispose();
+    }
+  }
+
+  async click(uid) {
+    return await this.withElement(uid, async (handle) => {
+      const page = this.browserManager.getCurrentPage();
+
       await handle.evaluate(el => el.scrollIntoView({ behavior: 'auto', block: 'center' }));
       await new Promise(resolve => setTimeout(resolve, 100));
 
@@ -46,18 +68,11 @@ class ActionExecutor {
       }
 
       return { text: `已点击元素 ${uid}`, uid };
-    } finally {
-      await handle.dispose();
-    }
+    });
   }
 
   async fill(uid, text) {
-    if (!this.snapshotManager.getLastSnapshot() || !this.snapshotManager.getNodeByUid(uid)) {
-      await this.snapshotManager.takeSnapshot();
-    }
-
-    const handle = await this.snapshotManager.getElementByUid(uid);
-    try {
+    return await this.withElement(uid, async (handle) => {
       await handle.evaluate(el => {
         if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
           el.value = '';
@@ -68,9 +83,7 @@ class ActionExecutor {
       await new Promise(resolve => setTimeout(resolve, 50));
       await handle.type(text, { delay: 10 });
       return { text: `已输入文本到元素 ${uid}`, uid };
-    } finally {
-      await handle.dispose();
-    }
+    });
   }
 
   async pressKey(key) {
@@ -117,24 +130,22 @@ class ActionExecutor {
   }
 
   async hover(uid) {
-    if (!this.snapshotManager.getLastSnapshot() || !this.snapshotManager.getNodeByUid(uid)) {
-      await this.snapshotManager.takeSnapshot();
-    }
-
-    const handle = await this.snapshotManager.getElementByUid(uid);
-    try {
+    return await this.withElement(uid, async (handle) => {
       await handle.hover();
       return { text: `已悬停在元素 ${uid} 上`, uid };
-    } finally {
-      await handle.dispose();
-    }
+    });
   }
 
-  async waitFor(text, timeout = 10000) {
+  async waitFor(text, timeout = 10000, signal) {
     const page = this.browserManager.getCurrentPage();
+    if (isLocator(text)) {
+      const handle = await waitForElement(page, text, timeout, signal);
+      await handle.dispose();
+      return { text: `已找到元素 ${text}` };
+    }
     await page.waitForFunction(
       (txt) => document.body.innerText.includes(txt),
-      { timeout },
+      { timeout, signal },
       text
     );
     return { text: `已找到文本 "${text}"` };
@@ -158,12 +169,24 @@ class ActionExecutor {
     return await page.screenshot({ type: 'png' });
   }
 
-  async getConsoleMessages() {
-    return [];
+  async getConsoleMessages(filter = {}) {
+    return this.browserManager.consoleRecorder.getMessages(filter);
+  }
+
+  clearConsoleMessages() {
+    this.browserManager.consoleRecorder.clear();
+  }
+
+  async getNetworkRequests(filter = {}) {
+    return this.browserManager.networkRecorder.getRequests(filter);
+  }
+
+  getNetworkRequest(id) {
+    return this.browserManager.networkRecorder.getRequest(id);
   }
 
-  async getNetworkRequests() {
-    return [];
+  clearNetworkRequests() {
+    this.browserManager.networkRecorder.clear();
   }
 }
 
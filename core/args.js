@@ -0,0 +1,84 @@
+const ESCAPABLE = new Set(['"', "'", '\\', ' ', '\t']);
+
+const FLAG_PATTERN = /^(--[^=\s]+)=([\s\S]*)$/;
+
+// 引号只在词首（或 --flag=、text= 这类定位器前缀之后）生效，词中的引号按原样保留，
+// 这样 it's、C:\Users 这类输入不需要转义。
+// options.expandFlags 时把 --flag=value 拆成两个参数，以引号开头的词（如 "--name=x"）按原样保留
+function tokenize(input, options = {}) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let quotedStart = false;
+  let quote = null;
+
+  const finish = () => {
+    const match = options.expandFlags && !quotedStart ? FLAG_PATTERN.exec(current) : null;
+    if (match) {
+      tokens.push(match[1], match[2]);
+    } else {
+      tokens.push(current);
+    }
+    current = '';
+    inToken = false;
+    quotedStart = false;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (quote === '"' && ch === '\\' && (input[i + 1] === '"' || input[i + 1] === '\\')) {
+        current += input[++i];
+      } else {
+        current += ch;
+      }
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      if (inToken) finish();
+      continue;
+    }
+
+    if ((ch === '"' || ch === "'") && (!inToken || /^(--[^=\s]+|css|xpath|text|role|label)=$/.test(current))) {
+      if (!inToken) quotedStart = true;
+      quote = ch;
+      inToken = true;
+      continue;
+    }
+
+    if (ch === '\\' && ESCAPABLE.has(input[i + 1])) {
+      current += input[++i];
+      inToken = true;
+      continue;
+    }
+
+    current += ch;
+    inToken = true;
+  }
+
+  if (quote) {
+    throw new Error(`引号未闭合：${quote}`);
+  }
+  if (inToken) finish();
+  return tokens;
+}
+
+// CLI 入口使用：shell 传入的参数已经去掉了引号
+function expandFlags(args) {
+  const expanded = [];
+  for (const arg of args) {
+    const match = FLAG_PATTERN.exec(arg);
+    if (match) {
+      expanded.push(match[1], match[2]);
+    } else {
+      expanded.push(arg);
+    }
+  }
+  return expanded;
+}
+
+module.exports = { tokenize, expandFlags };
@@ -52,7 +52,7 @@ class AutomationManager {
     }));
   }
 
-  async executeScript(id, commandRunner) {
+  async executeScript(id, commandRunner, signal) {
     const script = this.getScript(id);
     if (!script) {
       throw new Error(`找不到编号为 ${id} 的自动化脚本`);
@@ -60,6 +60,7 @@ class AutomationManager {
 
     const results = [];
     for (let i = 0; i < script.commands.length; i++) {
+      if (signal?.aborted) break;
       const cmd = script.commands[i];
       try {
         const result = await commandRunner(cmd.raw);
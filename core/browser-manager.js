@@ -23,6 +23,15 @@ puppeteer.use(StealthPlugin());
 const { EventEmitter } = require('events');
 const fs = require('node:fs');
 const path = require('node:path');
+const { ConsoleRecorder } = require('./console-recorder');
+const { NetworkRecorder } = require('./network-recorder');
+const { RequestRouter } = require('./request-router');
+const { ProfileManager } = require('./profiles');
+const { StorageStateManager } = require('./storage-state');
+const { findChrome } = require('./chrome-finder');
+const { EmulationManager } = require('./emulation');
+
+const EVENT_TYPES = ['console', 'network', 'navigation', 'dialog', 'tab'];
 
 class BrowserManager extends EventEmitter {
   constructor(options = {}) {
@@ -31,9 +40,34 @@ class BrowserManager extends EventEmitter {
     this.currentPage = null;
     this.pages = [];
     this.configDir = options.configDir || process.cwd();
+    this.trackedPages = new WeakMap();
+    this.openingPages = new Set();
+    this.languageScripts = new WeakMap();
+    this.consoleRecorder = new ConsoleRecorder({
+      resolveTabId: (page) => this.getPageId(page),
+      onMessage: (message) => this.emitEvent('console', message),
+    });
+    this.networkRecorder = new NetworkRecorder({
+      resolveTabId: (page) => this.getPageId(page),
+      onComplete: (request) => this.emitEvent('network', request),
+    });
+    this.router = new RequestRouter();
+
+    this.profileManager = new ProfileManager(this.configDir);
+    this.storage = new StorageStateManager(this);
+    this.emulation = new EmulationManager(this);
 
     const config = this.loadConfig();
     this.headless = options.headless ?? config.headless ?? true;
+    this.profile = options.profile ?? config.profile ?? null;
+    this.connect = options.connect ?? config.connect ?? null;
+    this.executablePath = options.executablePath ?? config.executablePath ?? null;
+    this.channel = options.channel ?? config.channel ?? null;
+    this.extraArgs = [...(config.extraArgs || []), ...(options.extraArgs || [])];
+    this.lang = options.lang ?? config.lang ?? 'zh-CN';
+    this.windowSize = options.windowSize ?? config.windowSize ?? null;
+    this.sandbox = options.sandbox ?? config.sandbox ?? false;
+    this.attached = false;
   }
 
   loadConfig() {
@@ -61,41 +95,50 @@ class BrowserManager extends EventEmitter {
     }
   }
 
+  getConnectOptions() {
+    const target = String(this.connect);
+    if (/^wss?:\/\//i.test(target)) {
+      return { browserWSEndpoint: target };
+    }
+    if (/^https?:\/\//i.test(target)) {
+      return { browserURL: target };
+    }
+    if (/^\d+$/.test(target)) {
+      return { browserURL: `http://127.0.0.1:${target}` };
+    }
+    throw new Error(`无效的连接地址：${target}（支持 ws://...、http://host:port 或端口号）`);
+  }
+
   async start() {
-    const channel = 'chrome';
-
-    let executablePath = null;
-    if (process.platform === 'win32') {
-      const chromePaths = [
-        'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-        'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-        path.join(process.env.LOCALAPPDATA || '', 'Google\\Chrome\\Application\\chrome.exe'),
-      ];
-      for (const p of chromePaths) {
-        if (fs.existsSync(p)) {
-          executablePath = p;
-          break;
-        }
-      }
+    // 崩溃后重启时旧的页面对象已失效
+    this.currentPage = null;
+    this.pages = [];
+
+    if (this.connect) {
+      this.browser = await puppeteer.connect({ ...this.getConnectOptions(), defaultViewport: null });
+      this.attached = true;
+    } else {
+      await this.launch();
     }
 
-    this.browser = await puppeteer.launch({
-      channel: executablePath ? undefined : channel,
-      executablePath,
-      headless: this.headless,
-      defaultViewport: null,
-      ignoreDefaultArgs: ['--enable-automation'],
-      args: [
-        '--hide-crash-restore-bubble',
-        '--disable-gpu',
-        '--no-sandbox',
-        '--disable-dev-shm-usage',
-        '--lang=zh-CN',
-      ],
+    this.browser.on('targetcreated', async (target) => {
+      if (target.type() !== 'page') return;
+      await this.refreshPages();
+      const opener = target.opener();
+      this.emitEvent('tab', {
+        action: 'created',
+        tabId: this.getTabIdByTarget(target),
+        url: target.url(),
+        openerTabId: opener ? this.getTabIdByTarget(opener) : null,
+      });
     });
 
-    this.browser.on('targetdestroyed', async () => {
+    this.browser.on('targetdestroyed', async (target) => {
+      const tabId = target.type() === 'page' ? this.getTabIdByTarget(target) : null;
       await this.refreshPages();
+      if (tabId !== null) {
+        this.emitEvent('tab', { action: 'closed', tabId, url: target.url() });
+      }
     });
 
     this.browser.on('disconnected', () => {
@@ -106,9 +149,69 @@ class BrowserManager extends EventEmitter {
     return this;
   }
 
+  resolveExecutable() {
+    if (this.executablePath) {
+      if (!fs.existsSync(this.executablePath)) {
+        throw new Error(`指定的浏览器不存在：${this.executablePath}`);
+      }
+      return { executablePath: this.executablePath };
+    }
+    if (this.channel) {
+      return { channel: this.channel };
+    }
+
+    const { executablePath, searched } = findChrome();
+    if (!executablePath) {
+      throw new Error(
+        '未找到 Chrome / Chromium 浏览器，已搜索：\n' +
+        searched.map(p => `  - ${p}`).join('\n') +
+        '\n请安装 Chrome，或通过 --executable-path、--channel、config.json 的 executablePath / channel 或 CHROME_PATH 环境变量指定'
+      );
+    }
+    return { executablePath };
+  }
+
+  getLaunchArgs() {
+    const args = [
+      '--hide-crash-restore-bubble',
+      '--disable-gpu',
+      '--disable-dev-shm-usage',
+      `--lang=${this.lang}`,
+    ];
+    if (!this.sandbox) {
+      args.push('--no-sandbox');
+    }
+    if (this.windowSize) {
+      const match = /^(\d+)[x,](\d+)$/i.exec(String(this.windowSize));
+      if (!match) {
+        throw new Error(`无效的窗口大小：${this.windowSize}（格式：1280x800）`);
+      }
+      args.push(`--window-size=${match[1]},${match[2]}`);
+    }
+    return [...args, ...this.extraArgs];
+  }
+
+  async launch() {
+    const userDataDir = this.profile ? this.profileManager.ensure(this.profile) : undefined;
+
+    this.browser = await puppeteer.launch({
+      ...this.resolveExecutable(),
+      headless: this.headless,
+      userDataDir,
+      defaultViewport: null,
+      ignoreDefaultArgs: ['--enable-automation'],
+      args: this.getLaunchArgs(),
+    });
+    this.attached = false;
+  }
+
   async close() {
     if (this.browser) {
-      await this.browser.close();
+      if (this.attached) {
+        await this.browser.disconnect();
+      } else {
+        await this.browser.close();
+      }
       this.browser = null;
       this.currentPage = null;
       this.pages = [];
@@ -118,6 +221,9 @@ class BrowserManager extends EventEmitter {
   async refreshPages() {
     try {
       const allPages = await this.browser.pages();
+      for (const page of allPages) {
+        await this.trackPage(page);
+      }
       this.pages = allPages.map((page, index) => ({
         id: index + 1,
         url: page.url(),
@@ -138,6 +244,47 @@ class BrowserManager extends EventEmitter {
     }
   }
 
+  // 新标签页会同时经由 openPage 和 targetcreated 两条路径到达，都要等同一次 attach 完成，
+  // 否则先返回的一方可能在请求拦截、环境模拟生效之前就开始导航
+  async trackPage(page) {
+    if (!this.trackedPages.has(page)) {
+      this.trackedPages.set(page, this.attachPage(page));
+    }
+    await this.trackedPages.get(page);
+  }
+
+  async attachPage(page) {
+    page.on('framenavigated', (frame) => {
+      if (frame === page.mainFrame()) {
+        this.emitEvent('navigation', { tabId: this.getPageId(page), url: frame.url() });
+      }
+    });
+    page.on('dialog', (dialog) => {
+      this.emitEvent('dialog', {
+        tabId: this.getPageId(page),
+        dialogType: dialog.type(),
+        message: dialog.message(),
+        defaultValue: dialog.defaultValue(),
+      });
+    });
+    this.networkRecorder.attach(page);
+    await this.consoleRecorder.attach(page);
+    await this.router.attach(page);
+    await this.emulation.attach(page);
+  }
+
+  getPageId(page) {
+    return this.pages.find(p => p._page === page)?.id ?? null;
+  }
+
+  getTabIdByTarget(target) {
+    return this.pages.find(p => p._page.target() === target)?.id ?? null;
+  }
+
+  emitEvent(event, data) {
+    this.emit('browserEvent', { event, timestamp: Date.now(), ...data });
+  }
+
   normalizeUrl(url) {
     if (!url) return 'about:blank';
     if (/^https?:\/\//i.test(url) || /^about:/i.test(url) || /^file:/i.test(url)) {
@@ -149,17 +296,37 @@ class BrowserManager extends EventEmitter {
   async openPage(url) {
     const fullUrl = this.normalizeUrl(url);
     const page = await this.browser.newPage();
-    await page.setExtraHTTPHeaders({ 'Accept-Language': 'zh-CN,zh;q=0.9' });
-    await page.evaluateOnNewDocument(() => {
-      Object.defineProperty(navigator, 'language', { get: () => 'zh-CN' });
-      Object.defineProperty(navigator, 'languages', { get: () => ['zh-CN', 'zh'] });
-    });
-    await page.goto(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await this.refreshPages();
-    this.currentPage = page;
+    // 导航完成、成为当前标签页之前，标签页数量限制不会关闭它
+    this.openingPages.add(page);
+    try {
+      await this.trackPage(page);
+      if (!this.emulation.getSettings(page).locale) {
+        await this.applyLanguage(page);
+      }
+      await page.goto(fullUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await this.refreshPages();
+      this.currentPage = page;
+    } finally {
+      this.openingPages.delete(page);
+    }
     return { text: `已打开 ${fullUrl}`, url: fullUrl };
   }
 
+  async applyLanguage(page, lang = this.lang) {
+    const languages = [...new Set([lang, lang.split('-')[0]])];
+    await page.setExtraHTTPHeaders({ 'Accept-Language': `${languages[0]}${languages[1] ? `,${languages[1]};q=0.9` : ''}` });
+    // 每个标签页只保留一个语言脚本，emulate --locale 多次调用时先移除上一次注入的
+    const previous = this.languageScripts.get(page);
+    if (previous) {
+      await page.removeScriptToEvaluateOnNewDocument(previous);
+    }
+    const { identifier } = await page.evaluateOnNewDocument((langs) => {
+      Object.defineProperty(navigator, 'language', { get: () => langs[0], configurable: true });
+      Object.defineProperty(navigator, 'languages', { get: () => langs, configurable: true });
+    }, languages);
+    this.languageScripts.set(page, identifier);
+  }
+
   async navigate(url) {
     const fullUrl = this.normalizeUrl(url);
     if (!this.currentPage) {
@@ -226,6 +393,45 @@ class BrowserManager extends EventEmitter {
     return this.currentPage;
   }
 
+  getSessionState() {
+    return {
+      tabs: this.pages.map(p => ({ url: p._page.url() })),
+      currentIndex: Math.max(0, this.pages.findIndex(p => p._page === this.currentPage)),
+    };
+  }
+
+  async restoreSessionState(state) {
+    const tabs = state.tabs || [];
+    if (tabs.length === 0) return { restored: 0, failed: [] };
+
+    await this.refreshPages();
+    // 新启动的浏览器自带一个空白页，复用它打开第一个标签页
+    const blank = this.pages.length === 1 && this.pages[0]._page.url() === 'about:blank'
+      ? this.pages[0]._page
+      : null;
+
+    const restoredPages = [];
+    const failed = [];
+    for (const [index, { url }] of tabs.entries()) {
+      const page = index === 0 && blank ? blank : await this.browser.newPage();
+      await this.trackPage(page);
+      if (!this.emulation.getSettings(page).locale) {
+        await this.applyLanguage(page);
+      }
+      restoredPages.push(page);
+      if (!url || url === 'about:blank') continue;
+      try {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      } catch (error) {
+        failed.push({ url, error: error.message });
+      }
+    }
+
+    this.currentPage = restoredPages[Math.min(state.currentIndex || 0, restoredPages.length - 1)];
+    await this.refreshPages();
+    return { restored: restoredPages.length, failed };
+  }
+
   getPages() {
     return this.pages.map(p => ({
       id: p.id,
@@ -240,4 +446,4 @@ class BrowserManager extends EventEmitter {
   }
 }
 
-module.exports = { BrowserManager };
+module.exports = { BrowserManager, EVENT_TYPES };
@@ -0,0 +1,83 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const LINUX_COMMANDS = ['google-chrome-stable', 'google-chrome', 'chromium', 'chromium-browser'];
+
+const LINUX_PATHS = [
+  '/opt/google/chrome/chrome',
+  '/usr/lib/chromium/chromium',
+  '/usr/lib/chromium-browser/chromium-browser',
+  '/snap/bin/chromium',
+];
+
+function getPlatformCandidates(env) {
+  if (process.platform === 'win32') {
+    return [
+      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+      path.join(env.LOCALAPPDATA || '', 'Google\\Chrome\\Application\\chrome.exe'),
+      path.join(env.LOCALAPPDATA || '', 'Chromium\\Application\\chrome.exe'),
+    ];
+  }
+
+  if (process.platform === 'darwin') {
+    return [
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      '/Applications/Chromium.app/Contents/MacOS/Chromium',
+      path.join(env.HOME || '', 'Applications/Google Chrome.app/Contents/MacOS/Google Chrome'),
+    ];
+  }
+
+  return LINUX_PATHS;
+}
+
+function findInPath(command, env) {
+  for (const dir of (env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, command);
+    if (isExecutable(candidate)) return candidate;
+  }
+  return null;
+}
+
+function isExecutable(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile()) return false;
+    if (process.platform !== 'win32') fs.accessSync(filePath, fs.constants.X_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function findChrome(env = process.env) {
+  const searched = [];
+
+  if (env.CHROME_PATH) {
+    searched.push(`${env.CHROME_PATH}（CHROME_PATH）`);
+    if (isExecutable(env.CHROME_PATH)) {
+      return { executablePath: env.CHROME_PATH, searched };
+    }
+  }
+
+  if (process.platform === 'linux') {
+    for (const command of LINUX_COMMANDS) {
+      searched.push(`${command}（PATH）`);
+      const found = findInPath(command, env);
+      if (found) {
+        return { executablePath: found, searched };
+      }
+    }
+  }
+
+  for (const candidate of getPlatformCandidates(env)) {
+    searched.push(candidate);
+    if (isExecutable(candidate)) {
+      return { executablePath: candidate, searched };
+    }
+  }
+
+  return { executablePath: null, searched };
+}
+
+module.exports = { findChrome };
@@ -1,65 +1,118 @@
 const { renderImageToTerminal, renderImageAsASCII, renderImageWithText } = require('./renderer');
+const { saveHar } = require('./har');
+const { tokenize } = require('./args');
+const { toYaml } = require('./yaml');
+
+const COMMAND_MAP = {
+  'help': '_help', 'h': '_help', '\uff1f': '_help',
+  'status': '_status',
+  'open': '_open', 'o': '_open',
+  'close': '_close', 'q': '_close',
+  'pages': '_pages', 'list': '_pages', 'ls': '_pages', 'p': '_pages',
+  'switch': '_switch', 'sw': '_switch', 'w': '_switch',
+  'navigate': '_navigate', 'nav': '_navigate', 'go': '_navigate', 'n': '_navigate',
+  'back': '_back', 'ba': '_back',
+  'history': '_history', 'hi': '_history',
+  'snapshot': '_snapshot', 'snap': '_snapshot',
+  'screenshot': '_screenshot', 'shot': '_screenshot', 's': '_screenshot',
+  'sp': '_screenshotPreview',
+  'st': '_screenshotWithText',
+  'sa': '_screenshotASCII',
+  'elements': '_elements', 'els': '_elements', 'e': '_elements', 'l': '_elements',
+  'lc': '_interactiveElements',
+  'ld': '_elementsDiff',
+  'click': '_click', 'c': '_click',
+  'fill': '_fill', 'f': '_fill', 't': '_fill',
+  'fc': '_findClick',
+  'ft': '_findFill',
+  'key': '_press', 'k': '_press',
+  'hover': '_hover',
+  'sleep': '_sleep', 'sl': '_sleep',
+  'wait': '_wait',
+  'eval': '_eval', 'js': '_eval',
+  'console': '_console', 'log': '_console',
+  'network': '_network', 'net': '_network',
+  'har': '_har',
+  'route': '_route',
+  'ui': '_ui',
+  'profile': '_profile',
+  'cookies': '_cookies', 'cookie': '_cookies',
+  'state': '_state',
+  'emulate': '_emulate', 'em': '_emulate',
+  'auto': '_auto', 'a': '_auto',
+};
+
+// 这些命令的参数是一整段代码，不做分词
+const RAW_HANDLERS = new Set(['_eval']);
+
+// 帮助和状态始终可用，不受 allowedCommands 限制
+const ALWAYS_ALLOWED = ['_help', '_status'];
 
 class CommandDispatcher {
-  constructor(browserManager, snapshotManager, actionExecutor, automationManager) {
+  constructor(browserManager, snapshotManager, actionExecutor, automationManager, options = {}) {
     this.browserManager = browserManager;
     this.snapshotManager = snapshotManager;
     this.actionExecutor = actionExecutor;
     this.automationManager = automationManager;
+    this.allowedHandlers = options.allowedCommands ? this.resolveAllowed(options.allowedCommands) : null;
+  }
+
+  resolveAllowed(commands) {
+    if (!Array.isArray(commands)) {
+      throw new Error('allowedCommands 必须是命令名数组');
+    }
+    const handlers = new Set(ALWAYS_ALLOWED);
+    for (const name of commands) {
+      const handler = COMMAND_MAP[String(name).toLowerCase()];
+      if (!handler) {
+        throw new Error(`allowedCommands 中包含未知命令：${name}`);
+      }
+      handlers.add(handler);
+    }
+    return handlers;
+  }
+
+  isAllowed(command) {
+    const handler = COMMAND_MAP[command.toLowerCase()];
+    return Boolean(handler) && (!this.allowedHandlers || this.allowedHandlers.has(handler));
   }
 
-  async dispatch(input) {
+  async dispatch(input, options = {}) {
     const trimmed = input.trim();
     if (!trimmed) return null;
 
-    const fillMatch = trimmed.match(/^(t|fill|f)\s+(\S+)\s+(.+)$/i);
-    if (fillMatch) {
-      return this._fill([fillMatch[2], fillMatch[3]]);
-    }
-
-    const parts = trimmed.split(/\s+/);
-    const command = parts[0].toLowerCase();
-    const args = parts.slice(1);
-
-    const COMMAND_MAP = {
-      'help': '_help', 'h': '_help', '\uff1f': '_help',
-      'status': '_status',
-      'open': '_open', 'o': '_open',
-      'close': '_close', 'q': '_close',
-      'pages': '_pages', 'list': '_pages', 'ls': '_pages', 'p': '_pages',
-      'switch': '_switch', 'sw': '_switch', 'w': '_switch',
-      'navigate': '_navigate', 'nav': '_navigate', 'go': '_navigate', 'n': '_navigate',
-      'back': '_back', 'ba': '_back',
-      'history': '_history', 'hi': '_history',
-      'snapshot': '_snapshot', 'snap': '_snapshot',
-      'screenshot': '_screenshot', 'shot': '_screenshot', 's': '_screenshot',
-      'sp': '_screenshotPreview',
-      'st': '_screenshotWithText',
-      'sa': '_screenshotASCII',
-      'elements': '_elements', 'els': '_elements', 'e': '_elements', 'l': '_elements',
-      'lc': '_interactiveElements',
-      'click': '_click', 'c': '_click',
-      'fill': '_fill', 'f': '_fill', 't': '_fill',
-      'fc': '_findClick',
-      'ft': '_findFill',
-      'key': '_press', 'k': '_press',
-      'hover': '_hover',
-      'sleep': '_sleep', 'sl': '_sleep',
-      'wait': '_wait',
-      'eval': '_eval', 'js': '_eval',
-      'console': '_console', 'log': '_console',
-      'network': '_network', 'net': '_network',
-      'ui': '_ui',
-      'auto': '_auto', 'a': '_auto',
-    };
+    const [command, rest = ''] = trimmed.split(/\s+([\s\S]*)/);
+    if (RAW_HANDLERS.has(COMMAND_MAP[command.toLowerCase()])) {
+      return this.invoke(command, rest ? [rest] : [], options);
+    }
 
+    let args;
+    try {
+      args = tokenize(rest, { expandFlags: true });
+    } catch (error) {
+      return { success: false, error: error.message, displayType: 'error' };
+    }
+    return this.invoke(command, args, options);
+  }
+
+  // 参数数组（HTTP、MCP、自动化脚本）原样传给命令，不拆分 --flag=value；
+  // 只有 dispatch 分词时会展开未加引号的 --flag=value
+  async execute(command, args = [], options = {}) {
+    return this.invoke(command, args, options);
+  }
+
+  async invoke(command, args, options = {}) {
+    command = command.toLowerCase();
     const handler = COMMAND_MAP[command];
     if (!handler) {
       return { success: false, error: `未知命令：${command}`, displayType: 'error' };
     }
+    if (this.allowedHandlers && !this.allowedHandlers.has(handler)) {
+      return { success: false, error: `命令 ${command} 已被禁用（不在 allowedCommands 中）`, displayType: 'error' };
+    }
 
     try {
-      return await this[handler](args);
+      return await this[handler](args, options);
     } catch (error) {
       return { success: false, error: error.message, displayType: 'error' };
     }
@@ -76,6 +129,7 @@ class CommandDispatcher {
       { aliases: ['hi', 'history'], description: '打开历史记录' },
       { aliases: ['l', 'elements'], description: '获取所有元素' },
       { aliases: ['lc'], description: '获取可交互元素' },
+      { aliases: ['ld'], description: '对比上次快照，只显示新增/移除/变化的元素' },
       { aliases: ['s', 'screenshot'], description: '截图保存' },
       { aliases: ['sp'], description: '截图终端预览' },
       { aliases: ['st'], description: '截图+文字预览' },
@@ -90,11 +144,17 @@ class CommandDispatcher {
       { aliases: ['eval', 'js'], description: '执行JS' },
       { aliases: ['console', 'log'], description: '控制台消息' },
       { aliases: ['network', 'net'], description: '网络请求' },
+      { aliases: ['har'], description: 'HAR录制导出' },
+      { aliases: ['route'], description: '请求拦截规则' },
       { aliases: ['ui'], description: 'UI模式配置' },
+      { aliases: ['profile'], description: '浏览器配置文件' },
+      { aliases: ['cookies'], description: 'Cookie管理' },
+      { aliases: ['state'], description: '登录状态保存/恢复' },
+      { aliases: ['em', 'emulate'], description: '设备与环境模拟' },
       { aliases: ['a', 'auto'], description: '自动化' },
       { aliases: ['status'], description: '浏览器状态' },
       { aliases: ['h', 'help'], description: '帮助信息' },
-    ];
+    ].filter(c => this.isAllowed(c.aliases[0]));
   }
 
   _help() {
@@ -218,22 +278,35 @@ class CommandDispatcher {
   }
 
   async _elements(args) {
-    await this.snapshotManager.takeSnapshot();
-
-    if (!this.snapshotManager.getLastSnapshot()) {
-      return { success: false, error: '请先获取页面快照', displayType: 'error' };
-    }
-
-    const lines = await this.snapshotManager.getSnapshotLines();
-
     let page = null;
     let pageSize = 50;
+    let format = 'text';
 
     for (let i = 0; i < args.length; i++) {
       if (args[i] === '--page' && args[i + 1]) page = parseInt(args[i + 1]);
       if (args[i] === '--page-size' && args[i + 1]) pageSize = parseInt(args[i + 1]);
+      if (args[i] === '--format' && args[i + 1]) format = args[i + 1].toLowerCase();
+    }
+
+    if (!['text', 'json', 'yaml'].includes(format)) {
+      return { success: false, error: `无效的输出格式：${format}（支持 text、json、yaml）`, displayType: 'error' };
+    }
+
+    await this.snapshotManager.takeSnapshot({ bounds: format !== 'text' });
+
+    if (!this.snapshotManager.getLastSnapshot()) {
+      return { success: false, error: '请先获取页面快照', displayType: 'error' };
     }
 
+    // 结构化格式输出完整的树，不分页
+    if (format !== 'text') {
+      const tree = this.snapshotManager.getTree();
+      const text = format === 'json' ? JSON.stringify(tree, null, 2) : toYaml(tree);
+      return { success: true, displayType: 'tree', data: { format, tree, text } };
+    }
+
+    const lines = await this.snapshotManager.getSnapshotLines();
+
     const totalPages = Math.ceil(lines.length / pageSize);
 
     if (page === null) {
@@ -296,9 +369,38 @@ class CommandDispatcher {
     };
   }
 
+  async _elementsDiff() {
+    const diff = await this.snapshotManager.diffSnapshot();
+    if (!diff) {
+      const count = this.snapshotManager.getNodeCount();
+      return {
+        success: true,
+        displayType: 'text',
+        data: { text: `已获取基线快照（${count} 个元素），页面变化后再执行 ld 查看差异`, baseline: true },
+      };
+    }
+
+    if (diff.replaced) {
+      return {
+        success: true,
+        displayType: 'text',
+        data: {
+          text: `页面内容已整体替换（可能已跳转），共 ${diff.added.length} 个元素，请使用 l 查看完整列表`,
+          replaced: true,
+        },
+      };
+    }
+
+    const { added, removed, changed } = diff;
+    const text = added.length + removed.length + changed.length === 0
+      ? '与上次快照相比没有变化'
+      : [`新增 ${added.length}，移除 ${removed.length}，变化 ${changed.length}`, ...this.snapshotManager.formatDiff(diff)].join('\n');
+    return { success: true, displayType: 'text', data: { text, added, removed, changed } };
+  }
+
   async _click(args) {
     if (!args[0]) {
-      return { success: false, error: '用法：click <uid>', displayType: 'error' };
+      return { success: false, error: '用法：click <uid|定位器>', displayType: 'error' };
     }
     const result = await this.actionExecutor.click(args[0]);
     return { success: true, displayType: 'text', data: { text: result.text, uid: args[0] } };
@@ -306,7 +408,7 @@ class CommandDispatcher {
 
   async _fill(args) {
     if (args.length < 2) {
-      return { success: false, error: '用法：t <uid> <text>', displayType: 'error' };
+      return { success: false, error: '用法：t <uid|定位器> <text>', displayType: 'error' };
     }
     const uid = args[0];
     const text = args.slice(1).join(' ');
@@ -363,13 +465,13 @@ class CommandDispatcher {
 
   async _hover(args) {
     if (!args[0]) {
-      return { success: false, error: '用法：hover <uid>', displayType: 'error' };
+      return { success: false, error: '用法：hover <uid|定位器>', displayType: 'error' };
     }
     const result = await this.actionExecutor.hover(args[0]);
     return { success: true, displayType: 'text', data: { text: result.text, uid: args[0] } };
   }
 
-  async _sleep(args) {
+  async _sleep(args, options = {}) {
     if (!args[0]) {
       return { success: false, error: '用法：sl <秒数>', displayType: 'error' };
     }
@@ -377,17 +479,23 @@ class CommandDispatcher {
     if (isNaN(seconds) || seconds < 0) {
       return { success: false, error: '请输入有效的秒数', displayType: 'error' };
     }
-    await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, seconds * 1000);
+      options.signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(options.signal.reason);
+      }, { once: true });
+    });
     return { success: true, displayType: 'text', data: { text: `已停顿 ${seconds} 秒`, seconds } };
   }
 
-  async _wait(args) {
+  async _wait(args, options = {}) {
     if (!args[0]) {
-      return { success: false, error: '用法：wait <text> [timeout]', displayType: 'error' };
+      return { success: false, error: '用法：wait <text|定位器> [timeout]', displayType: 'error' };
     }
     const text = args[0];
     const timeout = args[1] ? parseInt(args[1]) : 10000;
-    const result = await this.actionExecutor.waitFor(text, timeout);
+    const result = await this.actionExecutor.waitFor(text, timeout, options.signal);
     return { success: true, displayType: 'text', data: { text: result.text } };
   }
 
@@ -404,14 +512,240 @@ class CommandDispatcher {
     };
   }
 
-  async _console() {
-    const messages = await this.actionExecutor.getConsoleMessages();
-    return { success: true, displayType: 'text', data: { messages } };
+  async _console(args) {
+    const filter = {};
+    let clear = false;
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--level' && args[i + 1]) filter.level = args[++i].toLowerCase();
+      else if (args[i] === '--tab' && args[i + 1]) {
+        const pageId = parseInt(args[++i]);
+        filter.page = this.browserManager.pages.find(p => p.id === pageId)?._page;
+        if (!filter.page) throw new Error(`标签页 ${pageId} 不存在`);
+      } else if (args[i] === '--since' && args[i + 1]) {
+        const value = args[++i];
+        filter.since = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+        if (isNaN(filter.since)) throw new Error(`无效的时间：${value}`);
+      } else if (args[i] === '--limit' && args[i + 1]) filter.limit = parseInt(args[++i]);
+      else if (args[i] === '--clear') clear = true;
+    }
+
+    const messages = await this.actionExecutor.getConsoleMessages(filter);
+    if (clear) this.actionExecutor.clearConsoleMessages();
+    return { success: true, displayType: 'text', data: { messages, cleared: clear } };
+  }
+
+  async _network(args) {
+    const sub = args[0]?.toLowerCase();
+
+    if (sub === 'show') {
+      if (!args[1]) {
+        return { success: false, error: '用法：net show <编号>', displayType: 'error' };
+      }
+      const request = this.actionExecutor.getNetworkRequest(parseInt(args[1]));
+      if (!request) {
+        return { success: false, error: `网络请求 #${args[1]} 不存在（可能已被新请求挤出缓冲区）`, displayType: 'error' };
+      }
+      if (args.includes('--json')) {
+        return { success: true, displayType: 'text', data: { text: JSON.stringify(request, null, 2), request } };
+      }
+      return { success: true, displayType: 'text', data: { text: this._formatRequestDetail(request), request } };
+    }
+
+    if (sub === 'clear') {
+      this.actionExecutor.clearNetworkRequests();
+      return { success: true, displayType: 'text', data: { text: '已清空网络请求记录' } };
+    }
+
+    const filter = {};
+    let limit = 20;
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--type' && args[i + 1]) filter.types = args[++i].toLowerCase().split(',');
+      else if (args[i] === '--status' && args[i + 1]) {
+        filter.status = args[++i].toLowerCase();
+        if (!/^(\dxx|\d{3}|failed)$/.test(filter.status)) {
+          throw new Error(`无效的状态过滤：${filter.status}（示例：404、4xx、failed）`);
+        }
+      } else if (args[i] === '--url' && args[i + 1]) filter.url = args[++i];
+      else if (args[i] === '--tab' && args[i + 1]) {
+        const pageId = parseInt(args[++i]);
+        filter.page = this.browserManager.pages.find(p => p.id === pageId)?._page;
+        if (!filter.page) throw new Error(`标签页 ${pageId} 不存在`);
+      } else if (args[i] === '--limit' && args[i + 1]) limit = parseInt(args[++i]);
+      else if (args[i] === '--all') limit = Infinity;
+    }
+
+    const requests = await this.actionExecutor.getNetworkRequests(filter);
+    const shown = requests.slice(-limit);
+
+    if (args.includes('--json')) {
+      return { success: true, displayType: 'text', data: { text: JSON.stringify(shown, null, 2), requests: shown, total: requests.length } };
+    }
+    return { success: true, displayType: 'text', data: { requests: shown, total: requests.length } };
+  }
+
+  async _har(args) {
+    const sub = args[0]?.toLowerCase();
+    const recorder = this.browserManager.networkRecorder;
+
+    if (sub === 'start') {
+      const all = args.includes('--all');
+      const page = all ? null : this.browserManager.getCurrentPage();
+      if (!all && !page) {
+        throw new Error('没有选中的页面');
+      }
+      recorder.startCapture(page);
+      const scope = all ? '所有标签页' : `标签页 ${this.browserManager.getPageId(page)}`;
+      return { success: true, displayType: 'text', data: { text: `已开始 HAR 录制（${scope}）` } };
+    }
+
+    if (sub === 'stop') {
+      if (!args[1]) {
+        return { success: false, error: '用法：har stop <文件.har>', displayType: 'error' };
+      }
+      if (!recorder.isCapturing()) {
+        return { success: false, error: '没有正在进行的 HAR 录制，请先使用 har start', displayType: 'error' };
+      }
+      // 先写文件再结束录制，写入失败时录制继续，可以换个路径重试
+      const entries = [...recorder.capture.entries];
+      let result;
+      try {
+        result = saveHar(args[1], entries, (page) => this.browserManager.getPageId(page));
+      } catch (error) {
+        return { success: false, error: `保存 HAR 失败：${error.message}（录制仍在进行，可换个路径重试）`, displayType: 'error' };
+      }
+      recorder.stopCapture();
+      return {
+        success: true,
+        displayType: 'text',
+        data: { text: `HAR 已保存到：${result.filePath}（${result.entryCount} 个请求）`, ...result },
+      };
+    }
+
+    if (sub === 'status') {
+      const text = recorder.isCapturing()
+        ? `HAR 录制中，已记录 ${recorder.capture.entries.length} 个请求`
+        : '当前没有 HAR 录制';
+      return { success: true, displayType: 'text', data: { text, capturing: recorder.isCapturing() } };
+    }
+
+    return { success: false, error: '用法：har start [--all] | har stop <文件.har> | har status', displayType: 'error' };
+  }
+
+  async _route(args) {
+    const sub = args[0]?.toLowerCase();
+    const router = this.browserManager.router;
+    const usage = '用法：route block <模式> | route mock <模式> <文件> [状态码] | route header <模式> <名称=值>... | route list | route rm <编号> | route clear';
+
+    switch (sub) {
+      case 'block': {
+        if (!args[1]) {
+          return { success: false, error: '用法：route block <模式>', displayType: 'error' };
+        }
+        const rule = await router.addBlock(args[1]);
+        return { success: true, displayType: 'text', data: { text: `已添加规则 #${rule.id}：拦截 ${rule.pattern}`, rule } };
+      }
+
+      case 'mock': {
+        if (!args[2]) {
+          return { success: false, error: '用法：route mock <模式> <文件> [状态码]', displayType: 'error' };
+        }
+        const status = args[3] ? parseInt(args[3]) : 200;
+        if (isNaN(status) || status < 100 || status > 599) {
+          return { success: false, error: `无效的状态码：${args[3]}`, displayType: 'error' };
+        }
+        const rule = await router.addMock(args[1], args[2], status);
+        return {
+          success: true,
+          displayType: 'text',
+          data: { text: `已添加规则 #${rule.id}：${rule.pattern} → ${rule.file} (${rule.status})`, rule },
+        };
+      }
+
+      case 'header': {
+        const pairs = args.slice(2);
+        if (!args[1] || pairs.length === 0) {
+          return { success: false, error: '用法：route header <模式> <名称=值>...', displayType: 'error' };
+        }
+        const headers = {};
+        for (const pair of pairs) {
+          const eq = pair.indexOf('=');
+          if (eq <= 0) {
+            return { success: false, error: `无效的请求头：${pair}（格式：名称=值）`, displayType: 'error' };
+          }
+          headers[pair.slice(0, eq)] = pair.slice(eq + 1);
+        }
+        const rule = await router.addHeaders(args[1], headers);
+        const names = Object.keys(headers).join(', ');
+        return { success: true, displayType: 'text', data: { text: `已添加规则 #${rule.id}：${rule.pattern} 设置请求头 ${names}`, rule } };
+      }
+
+      case 'list':
+      case 'l': {
+        const rules = router.listRules();
+        if (rules.length === 0) {
+          return { success: true, displayType: 'text', data: { text: '（没有路由规则）', rules } };
+        }
+        const lines = rules.map(rule => {
+          let detail = '';
+          if (rule.type === 'mock') detail = ` → ${rule.file} (${rule.status})`;
+          if (rule.type === 'header') detail = ` ${Object.entries(rule.headers).map(([k, v]) => `${k}=${v}`).join(' ')}`;
+          return `#${rule.id} ${rule.type} ${rule.pattern}${detail}  [命中 ${rule.hits} 次]`;
+        });
+        return { success: true, displayType: 'text', data: { text: lines.join('\n'), rules } };
+      }
+
+      case 'rm':
+      case 'remove': {
+        if (!args[1]) {
+          return { success: false, error: '用法：route rm <编号>', displayType: 'error' };
+        }
+        const id = parseInt(args[1].replace(/^#/, ''));
+        await router.removeRule(id);
+        return { success: true, displayType: 'text', data: { text: `已删除路由规则 #${id}` } };
+      }
+
+      case 'clear': {
+        const count = await router.clear();
+        return { success: true, displayType: 'text', data: { text: `已清除 ${count} 条路由规则` } };
+      }
+
+      default:
+        return { success: false, error: usage, displayType: 'error' };
+    }
   }
 
-  async _network() {
-    const requests = await this.actionExecutor.getNetworkRequests();
-    return { success: true, displayType: 'text', data: { requests: requests.slice(0, 20), total: requests.length } };
+  _formatRequestDetail(request) {
+    const lines = [
+      `#${request.id} ${request.method} ${request.url}`,
+      `标签页：${request.tabId ?? '已关闭'}  类型：${request.resourceType}`,
+      request.failure
+        ? `失败：${request.failure}`
+        : `状态：${request.status ?? '等待中'} ${request.statusText || ''}`.trim(),
+      `耗时：${request.duration ?? '-'}ms  大小：${request.size ?? '-'} 字节${request.fromCache ? '（缓存）' : ''}`,
+    ];
+    if (request.remoteAddress) lines.push(`远程地址：${request.remoteAddress}`);
+
+    lines.push('', '请求头：');
+    for (const [name, value] of Object.entries(request.requestHeaders || {})) {
+      lines.push(`  ${name}: ${value}`);
+    }
+    if (request.postData) {
+      lines.push('', '请求体：', request.postData);
+    }
+
+    if (request.responseHeaders) {
+      lines.push('', '响应头：');
+      for (const [name, value] of Object.entries(request.responseHeaders)) {
+        lines.push(`  ${name}: ${value}`);
+      }
+    }
+    if (request.body !== null) {
+      lines.push('', `响应体${request.bodyTruncated ? '（已截断）' : ''}：`, request.body);
+    }
+
+    return lines.join('\n');
   }
 
   async _ui(args) {
@@ -437,7 +771,230 @@ class CommandDispatcher {
     return { success: false, error: '未知模式，请使用：ui on 或 ui off', displayType: 'error' };
   }
 
-  async _auto(args) {
+  async _profile(args) {
+    const sub = (args[0] || 'list').toLowerCase();
+    const profiles = this.browserManager.profileManager;
+    const config = this.browserManager.loadConfig();
+
+    switch (sub) {
+      case 'list':
+      case 'l': {
+        const list = profiles.list().map(p => ({
+          ...p,
+          current: p.name === this.browserManager.profile,
+          default: p.name === config.profile,
+        }));
+        const lines = list.map(p => {
+          const marks = [p.current ? '使用中' : '', p.default ? '默认' : ''].filter(Boolean).join('，');
+          return `${p.name}${marks ? ` [${marks}]` : ''}  ${p.path}`;
+        });
+        const current = this.browserManager.profile ? `当前配置文件：${this.browserManager.profile}` : '当前使用临时配置（退出后丢失登录状态）';
+        return {
+          success: true,
+          displayType: 'text',
+          data: { text: [current, ...(lines.length ? lines : ['（没有已保存的配置文件）'])].join('\n'), profiles: list },
+        };
+      }
+
+      case 'create': {
+        if (!args[1]) {
+          return { success: false, error: '用法：profile create <名称>', displayType: 'error' };
+        }
+        const profilePath = profiles.create(args[1]);
+        return { success: true, displayType: 'text', data: { text: `已创建配置文件 ${args[1]}：${profilePath}`, path: profilePath } };
+      }
+
+      case 'delete':
+      case 'rm': {
+        if (!args[1]) {
+          return { success: false, error: '用法：profile delete <名称>', displayType: 'error' };
+        }
+        if (args[1] === this.browserManager.profile && this.browserManager.isRunning()) {
+          return { success: false, error: `配置文件 ${args[1]} 正在使用中，请先停止浏览器`, displayType: 'error' };
+        }
+        profiles.delete(args[1]);
+        if (config.profile === args[1]) {
+          this.browserManager.saveConfig({ profile: null });
+        }
+        return { success: true, displayType: 'text', data: { text: `已删除配置文件 ${args[1]}` } };
+      }
+
+      case 'use': {
+        if (!args[1]) {
+          return { success: false, error: '用法：profile use <名称> | profile use --none', displayType: 'error' };
+        }
+        if (args[1] === '--none') {
+          this.browserManager.saveConfig({ profile: null });
+          return { success: true, displayType: 'text', data: { text: '配置已保存：下次启动时使用临时配置', profile: null } };
+        }
+        profiles.ensure(args[1]);
+        this.browserManager.saveConfig({ profile: args[1] });
+        return { success: true, displayType: 'text', data: { text: `配置已保存：下次启动时使用配置文件 ${args[1]}`, profile: args[1] } };
+      }
+
+      default:
+        return { success: false, error: '用法：profile [list] | profile create <名称> | profile delete <名称> | profile use <名称>', displayType: 'error' };
+    }
+  }
+
+  async _cookies(args) {
+    const hasSub = args[0] && !args[0].startsWith('--');
+    const sub = hasSub ? args[0].toLowerCase() : 'list';
+    const storage = this.browserManager.storage;
+    const positional = [];
+    const options = {};
+
+    for (let i = hasSub ? 1 : 0; i < args.length; i++) {
+      if (args[i] === '--domain' && args[i + 1]) options.domain = args[++i];
+      else if (args[i] === '--path' && args[i + 1]) options.path = args[++i];
+      else if (args[i] === '--same-site' && args[i + 1]) options.sameSite = args[++i];
+      else if (args[i] === '--expires' && args[i + 1]) {
+        const value = args[++i];
+        if (!/^\d+$/.test(value)) {
+          return { success: false, error: `无效的过期时间：${value}（应为 Unix 时间戳，单位秒）`, displayType: 'error' };
+        }
+        options.expires = Number(value);
+      }
+      else if (args[i] === '--secure') options.secure = true;
+      else if (args[i] === '--http-only') options.httpOnly = true;
+      else if (args[i] === '--all') options.all = true;
+      else positional.push(args[i]);
+    }
+
+    const formatCookie = (c) => {
+      const flags = [c.secure ? 'Secure' : '', c.httpOnly ? 'HttpOnly' : '', c.sameSite || ''].filter(Boolean).join(' ');
+      const expires = c.session || !(c.expires > 0) ? '会话' : new Date(c.expires * 1000).toLocaleString('zh-CN');
+      return `${c.name}=${c.value}  (${c.domain}${c.path || '/'}, 过期：${expires}${flags ? `, ${flags}` : ''})`;
+    };
+
+    switch (sub) {
+      case 'list':
+      case 'l': {
+        const cookies = await storage.listCookies(options);
+        const text = cookies.length ? cookies.map(formatCookie).join('\n') : '（没有 Cookie）';
+        return { success: true, displayType: 'text', data: { text, cookies } };
+      }
+
+      case 'get': {
+        if (!positional[0]) {
+          return { success: false, error: '用法：cookies get <名称> [--domain 域名]', displayType: 'error' };
+        }
+        const cookies = await storage.getCookie(positional[0], options);
+        if (cookies.length === 0) {
+          return { success: false, error: `未找到 Cookie：${positional[0]}`, displayType: 'error' };
+        }
+        return { success: true, displayType: 'text', data: { text: cookies.map(formatCookie).join('\n'), cookies } };
+      }
+
+      case 'set': {
+        if (positional.length < 2) {
+          return { success: false, error: '用法：cookies set <名称> <值> [--domain 域名] [--path 路径] [--secure] [--http-only] [--expires unix秒]', displayType: 'error' };
+        }
+        const cookie = await storage.setCookie(positional[0], positional[1], options);
+        return { success: true, displayType: 'text', data: { text: `已设置 Cookie ${cookie.name}（${cookie.domain}）`, cookie } };
+      }
+
+      case 'delete':
+      case 'rm': {
+        if (!positional[0]) {
+          return { success: false, error: '用法：cookies delete <名称> [--domain 域名]', displayType: 'error' };
+        }
+        const count = await storage.deleteCookie(positional[0], options);
+        return { success: true, displayType: 'text', data: { text: `已删除 ${count} 个名为 ${positional[0]} 的 Cookie`, count } };
+      }
+
+      case 'clear': {
+        const count = await storage.clearCookies(options);
+        const scope = options.all ? '所有域名' : (options.domain || storage.getCurrentHost() || '所有域名');
+        return { success: true, displayType: 'text', data: { text: `已清除 ${count} 个 Cookie（范围：${scope}）`, count } };
+      }
+
+      default:
+        return { success: false, error: '用法：cookies list|get|set|delete|clear', displayType: 'error' };
+    }
+  }
+
+  async _state(args) {
+    const sub = args[0]?.toLowerCase();
+    if ((sub !== 'save' && sub !== 'load') || !args[1]) {
+      return { success: false, error: '用法：state save <文件.json> | state load <文件.json>', displayType: 'error' };
+    }
+
+    if (sub === 'save') {
+      const result = await this.browserManager.storage.saveState(args[1]);
+      return {
+        success: true,
+        displayType: 'text',
+        data: { text: `状态已保存到：${result.filePath}（${result.cookieCount} 个 Cookie，${result.originCount} 个站点的存储）`, ...result },
+      };
+    }
+
+    const result = await this.browserManager.storage.loadState(args[1]);
+    let text = `已恢复状态：${result.cookieCount} 个 Cookie，${result.originCount} 个站点的存储`;
+    if (result.sessionSkipped > 0) {
+      text += `\n（${result.sessionSkipped} 个站点的 sessionStorage 没有对应的已打开标签页，已跳过）`;
+    }
+    return { success: true, displayType: 'text', data: { text, ...result } };
+  }
+
+  async _emulate(args) {
+    const emulation = this.browserManager.emulation;
+    const all = args.includes('--all');
+    const rest = args.filter(a => a !== '--all');
+    const sub = rest[0]?.toLowerCase();
+    const scope = all ? '所有标签页（包括之后新开的）' : '当前标签页';
+
+    const KEYS = {
+      device: 'device',
+      geo: 'geolocation', geolocation: 'geolocation',
+      tz: 'timezone', timezone: 'timezone',
+      locale: 'locale',
+      color: 'colorScheme', 'color-scheme': 'colorScheme',
+      motion: 'reducedMotion',
+      cpu: 'cpu',
+      net: 'network', network: 'network',
+    };
+
+    if (!sub) {
+      const current = emulation.getSettings(this.browserManager.getCurrentPage());
+      const describe = (settings) => {
+        const entries = Object.entries(settings);
+        if (entries.length === 0) return '  （无）';
+        return entries.map(([k, v]) => `  ${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`).join('\n');
+      };
+      return {
+        success: true,
+        displayType: 'text',
+        data: {
+          text: `当前标签页：\n${describe(current)}\n新标签页默认：\n${describe(emulation.defaults)}\n` +
+            '用法：emulate device|geo|tz|locale|color|motion|cpu|net <值> [--all] | emulate devices | emulate reset [--all]',
+          current,
+          defaults: emulation.defaults,
+        },
+      };
+    }
+
+    if (sub === 'devices') {
+      const devices = emulation.listDevices();
+      return { success: true, displayType: 'text', data: { text: devices.join('\n'), devices } };
+    }
+
+    if (sub === 'reset') {
+      const count = await emulation.reset({ all });
+      return { success: true, displayType: 'text', data: { text: `已重置 ${count} 个标签页的模拟设置`, count } };
+    }
+
+    const key = KEYS[sub];
+    if (!key) {
+      return { success: false, error: `未知模拟项：${sub}（可选 device / geo / tz / locale / color / motion / cpu / net / reset）`, displayType: 'error' };
+    }
+
+    const value = await emulation.set(key, rest.slice(1), { all });
+    const shown = typeof value === 'object' ? `${value.latitude}, ${value.longitude}` : value;
+    return { success: true, displayType: 'text', data: { text: `已对${scope}模拟 ${key}：${shown}`, [key]: value } };
+  }
+
+  async _auto(args, options = {}) {
     if (args.length === 0) {
       return {
         success: true,
@@ -468,9 +1025,9 @@ class CommandDispatcher {
         }
         const scriptId = parseInt(args[1]);
         const commandRunner = async (raw) => {
-          return await this.dispatch(raw);
+          return await this.dispatch(raw, options);
         };
-        const result = await this.automationManager.executeScript(scriptId, commandRunner);
+        const result = await this.automationManager.executeScript(scriptId, commandRunner, options.signal);
         return { success: true, displayType: 'text', data: result };
       }
 
@@ -0,0 +1,103 @@
+const LEVELS = { debug: 0, log: 1, info: 1, warn: 2, error: 3 };
+
+const TYPE_LEVELS = {
+  error: 'error',
+  assert: 'error',
+  pageerror: 'error',
+  unhandledrejection: 'error',
+  warn: 'warn',
+  warning: 'warn',
+  info: 'info',
+  debug: 'debug',
+  verbose: 'debug',
+  trace: 'debug',
+};
+
+class ConsoleRecorder {
+  constructor(options = {}) {
+    this.maxMessages = options.maxMessages || 1000;
+    this.messages = [];
+    this.nextId = 1;
+    this.resolveTabId = options.resolveTabId || (() => null);
+    this.onMessage = options.onMessage || (() => {});
+  }
+
+  async attach(page) {
+    page.on('console', (msg) => {
+      const location = msg.location() || {};
+      this.push(page, {
+        type: msg.type(),
+        text: msg.text(),
+        location: location.url ? {
+          url: location.url,
+          lineNumber: location.lineNumber,
+          columnNumber: location.columnNumber,
+        } : null,
+      });
+    });
+
+    try {
+      const client = await page.createCDPSession();
+      client.on('Runtime.exceptionThrown', ({ exceptionDetails }) => {
+        const details = exceptionDetails || {};
+        const text = details.exception?.description || details.exception?.value || details.text || '';
+        this.push(page, {
+          type: /in promise/i.test(details.text || '') ? 'unhandledrejection' : 'pageerror',
+          text: String(text),
+          location: details.url ? {
+            url: details.url,
+            lineNumber: details.lineNumber,
+            columnNumber: details.columnNumber,
+          } : null,
+        });
+      });
+      await client.send('Runtime.enable');
+    } catch (error) {}
+  }
+
+  push(page, entry) {
+    const message = {
+      id: this.nextId++,
+      ...entry,
+      level: TYPE_LEVELS[entry.type] || 'log',
+      timestamp: Date.now(),
+      _page: page,
+    };
+    this.messages.push(message);
+    if (this.messages.length > this.maxMessages) {
+      this.messages.splice(0, this.messages.length - this.maxMessages);
+    }
+
+    const { _page, ...rest } = message;
+    this.onMessage({ ...rest, tabId: this.resolveTabId(page) });
+  }
+
+  getMessages(filter = {}) {
+    let messages = this.messages;
+
+    if (filter.level) {
+      const min = LEVELS[filter.level];
+      if (min === undefined) {
+        throw new Error(`未知日志级别：${filter.level}（可选 error / warn / info / log / debug）`);
+      }
+      messages = messages.filter(m => LEVELS[m.level] >= min);
+    }
+    if (filter.page) {
+      messages = messages.filter(m => m._page === filter.page);
+    }
+    if (filter.since) {
+      messages = messages.filter(m => m.timestamp >= filter.since);
+    }
+    if (filter.limit) {
+      messages = messages.slice(-filter.limit);
+    }
+
+    return messages.map(({ _page, ...m }) => ({ ...m, tabId: this.resolveTabId(_page) }));
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = { ConsoleRecorder };
@@ -0,0 +1,205 @@
+const { KnownDevices, PredefinedNetworkConditions } = require('puppeteer-core');
+
+const NETWORK_PRESETS = {
+  slow3g: 'Slow 3G',
+  fast3g: 'Fast 3G',
+  '3g': 'Fast 3G',
+  slow4g: 'Slow 4G',
+  fast4g: 'Fast 4G',
+  '4g': 'Fast 4G',
+};
+
+function findDevice(name) {
+  const lower = name.toLowerCase();
+  const key = Object.keys(KnownDevices).find(k => k.toLowerCase() === lower);
+  return key ? { name: key, ...KnownDevices[key] } : null;
+}
+
+class EmulationManager {
+  constructor(browserManager) {
+    this.browserManager = browserManager;
+    this.defaults = {};
+    this.pageSettings = new WeakMap();
+    this.sessions = new WeakMap();
+    this.originalUserAgents = new WeakMap();
+  }
+
+  async attach(page) {
+    if (Object.keys(this.defaults).length > 0) {
+      await this.apply(page, this.defaults);
+    }
+  }
+
+  getSettings(page) {
+    return this.pageSettings.get(page) || {};
+  }
+
+  async getSession(page) {
+    let session = this.sessions.get(page);
+    if (!session) {
+      session = await page.createCDPSession();
+      this.sessions.set(page, session);
+    }
+    return session;
+  }
+
+  normalize(key, values) {
+    switch (key) {
+      case 'device': {
+        const device = findDevice(values.join(' '));
+        if (!device) {
+          throw new Error(`未知设备：${values.join(' ')}（使用 emulate devices 查看可用设备）`);
+        }
+        return device.name;
+      }
+      case 'geolocation': {
+        const [latitude, longitude, accuracy] = values.map(parseFloat);
+        if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+          throw new Error('用法：emulate geo <纬度> <经度> [精度米]');
+        }
+        return { latitude, longitude, accuracy: isNaN(accuracy) ? 10 : accuracy };
+      }
+      case 'colorScheme':
+        if (!['dark', 'light', 'no-preference'].includes(values[0])) {
+          throw new Error('用法：emulate color dark|light|no-preference');
+        }
+        return values[0];
+      case 'reducedMotion':
+        if (!['reduce', 'no-preference'].includes(values[0])) {
+          throw new Error('用法：emulate motion reduce|no-preference');
+        }
+        return values[0];
+      case 'cpu': {
+        const rate = parseFloat(values[0]);
+        if (isNaN(rate) || rate < 1) {
+          throw new Error('用法：emulate cpu <降速倍数>（1 表示不限速）');
+        }
+        return rate;
+      }
+      case 'network': {
+        const preset = (values[0] || '').toLowerCase();
+        if (preset !== 'offline' && preset !== 'online' && !NETWORK_PRESETS[preset]) {
+          throw new Error('用法：emulate net offline|online|slow3g|fast3g|slow4g|fast4g');
+        }
+        return preset;
+      }
+      default:
+        if (!values[0]) {
+          throw new Error(`缺少 ${key} 的值`);
+        }
+        return values[0];
+    }
+  }
+
+  async set(key, values, options = {}) {
+    const value = this.normalize(key, values);
+    const pages = options.all
+      ? this.browserManager.pages.map(p => p._page)
+      : [this.browserManager.getCurrentPage()].filter(Boolean);
+
+    if (pages.length === 0 && !options.all) {
+      throw new Error('没有选中的页面');
+    }
+    if (options.all) {
+      this.defaults = { ...this.defaults, [key]: value };
+    }
+    for (const page of pages) {
+      await this.apply(page, { [key]: value });
+    }
+    return value;
+  }
+
+  async apply(page, changes) {
+    const settings = { ...this.getSettings(page), ...changes };
+    this.pageSettings.set(page, settings);
+
+    if ('device' in changes) {
+      if (!this.originalUserAgents.has(page)) {
+        this.originalUserAgents.set(page, await page.evaluate(() => navigator.userAgent));
+      }
+      const device = findDevice(changes.device);
+      await page.emulate(device);
+    }
+
+    if ('geolocation' in changes) {
+      const browserSession = await this.browserManager.browser.target().createCDPSession();
+      try {
+        await browserSession.send('Browser.grantPermissions', { permissions: ['geolocation'] });
+      } finally {
+        await browserSession.detach();
+      }
+      await page.setGeolocation(changes.geolocation);
+    }
+
+    if ('timezone' in changes) {
+      await page.emulateTimezone(changes.timezone);
+    }
+
+    if ('locale' in changes) {
+      const session = await this.getSession(page);
+      await session.send('Emulation.setLocaleOverride', { locale: changes.locale });
+      await this.browserManager.applyLanguage(page, changes.locale);
+    }
+
+    if ('colorScheme' in changes || 'reducedMotion' in changes) {
+      const features = [];
+      if (settings.colorScheme) features.push({ name: 'prefers-color-scheme', value: settings.colorScheme });
+      if (settings.reducedMotion) features.push({ name: 'prefers-reduced-motion', value: settings.reducedMotion });
+      await page.emulateMediaFeatures(features);
+    }
+
+    if ('cpu' in changes) {
+      await page.emulateCPUThrottling(changes.cpu === 1 ? null : changes.cpu);
+    }
+
+    if ('network' in changes) {
+      await page.setOfflineMode(changes.network === 'offline');
+      const preset = NETWORK_PRESETS[changes.network];
+      await page.emulateNetworkConditions(preset ? PredefinedNetworkConditions[preset] : null);
+    }
+  }
+
+  async reset(options = {}) {
+    const pages = options.all
+      ? this.browserManager.pages.map(p => p._page)
+      : [this.browserManager.getCurrentPage()].filter(Boolean);
+
+    if (options.all) {
+      this.defaults = {};
+    }
+
+    for (const page of pages) {
+      const settings = this.getSettings(page);
+      if (settings.device) {
+        await page.setViewport(null);
+        const userAgent = this.originalUserAgents.get(page);
+        if (userAgent) await page.setUserAgent(userAgent);
+      }
+      if (settings.geolocation) {
+        const session = await this.getSession(page);
+        await session.send('Emulation.clearGeolocationOverride');
+      }
+      if (settings.timezone) await page.emulateTimezone();
+      if (settings.locale) {
+        const session = await this.getSession(page);
+        await session.send('Emulation.setLocaleOverride', {});
+        await this.browserManager.applyLanguage(page);
+      }
+      if (settings.colorScheme || settings.reducedMotion) await page.emulateMediaFeatures();
+      if (settings.cpu) await page.emulateCPUThrottling(null);
+      if (settings.network) {
+        await page.setOfflineMode(false);
+        await page.emulateNetworkConditions(null);
+      }
+      this.pageSettings.delete(page);
+    }
+
+    return pages.length;
+  }
+
+  listDevices() {
+    return Object.keys(KnownDevices).filter(name => !name.endsWith('landscape'));
+  }
+}
+
+module.exports = { EmulationManager };
@@ -0,0 +1,135 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { version } = require('../package.json');
+
+function toNameValue(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function getQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function getTimings(entry) {
+  const total = entry.duration ?? 0;
+  const t = entry.timing;
+
+  if (!t) {
+    return { blocked: -1, dns: -1, connect: -1, send: 0, wait: total, receive: 0, ssl: -1 };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0) ?? 0;
+  const send = span(t.sendStart, t.sendEnd);
+  const wait = span(t.sendEnd, t.receiveHeadersEnd);
+
+  return {
+    blocked: firstStart,
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    send: Math.max(0, send),
+    wait: Math.max(0, wait),
+    receive: Math.max(0, total - Math.max(0, t.receiveHeadersEnd)),
+    ssl: span(t.sslStart, t.sslEnd),
+  };
+}
+
+function toHarEntry(entry, pageref) {
+  const requestHeaders = entry.requestHeaders || {};
+  const responseHeaders = entry.responseHeaders || {};
+
+  const harEntry = {
+    pageref,
+    startedDateTime: new Date(entry.startTime).toISOString(),
+    time: entry.duration ?? 0,
+    request: {
+      method: entry.method,
+      url: entry.url,
+      httpVersion: 'unknown',
+      cookies: [],
+      headers: toNameValue(requestHeaders),
+      queryString: getQueryString(entry.url),
+      headersSize: -1,
+      bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0,
+    },
+    response: {
+      status: entry.status ?? 0,
+      statusText: entry.statusText || '',
+      httpVersion: 'unknown',
+      cookies: [],
+      headers: toNameValue(responseHeaders),
+      content: {
+        size: entry.size ?? 0,
+        mimeType: responseHeaders['content-type'] || 'x-unknown',
+      },
+      redirectURL: responseHeaders.location || '',
+      headersSize: -1,
+      bodySize: entry.size ?? -1,
+    },
+    cache: {},
+    timings: getTimings(entry),
+    _resourceType: entry.resourceType,
+  };
+
+  if (entry.postData) {
+    harEntry.request.postData = {
+      mimeType: requestHeaders['content-type'] || '',
+      text: entry.postData,
+    };
+  }
+  if (entry.body !== null && !entry.bodyTruncated) {
+    harEntry.response.content.text = entry.body;
+  }
+  if (entry.remoteAddress) {
+    harEntry.serverIPAddress = entry.remoteAddress.replace(/:\d+$/, '').replace(/^\[|\]$/g, '');
+  }
+  if (entry.failure) {
+    harEntry._error = entry.failure;
+  }
+
+  return harEntry;
+}
+
+function buildHar(entries, resolveTabId = () => null) {
+  const pages = new Map();
+  const harEntries = [];
+
+  for (const entry of entries) {
+    const tabId = resolveTabId(entry._page);
+    const pageref = `page_${tabId ?? 'closed'}`;
+
+    if (!pages.has(pageref)) {
+      pages.set(pageref, {
+        startedDateTime: new Date(entry.startTime).toISOString(),
+        id: pageref,
+        title: entry.resourceType === 'document' ? entry.url : `标签页 ${tabId ?? '（已关闭）'}`,
+        pageTimings: { onContentLoad: -1, onLoad: -1 },
+      });
+    }
+
+    harEntries.push(toHarEntry(entry, pageref));
+  }
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'ShellChrome', version },
+      pages: [...pages.values()],
+      entries: harEntries,
+    },
+  };
+}
+
+function saveHar(filePath, entries, resolveTabId) {
+  const har = buildHar(entries, resolveTabId);
+  const fullPath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, JSON.stringify(har, null, 2), 'utf-8');
+  return { filePath: fullPath, entryCount: har.log.entries.length, pageCount: har.log.pages.length };
+}
+
+module.exports = { buildHar, saveHar };
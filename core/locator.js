@@ -0,0 +1,113 @@
+// 定位器直接在页面里查找元素，不依赖快照 UID：
+//   css=#login  xpath=//button[1]  text="Sign in"  role=button[name="Submit"]  label=Password
+const LOCATOR_PATTERN = /^(css|xpath|text|role|label)=([\s\S]+)$/;
+
+const POLL_INTERVAL = 200;
+
+function isLocator(target) {
+  return LOCATOR_PATTERN.test(target);
+}
+
+function unquote(value) {
+  const match = /^(["'])([\s\S]*)\1$/.exec(value);
+  return match ? match[2] : value;
+}
+
+// 转成 puppeteer 的 ::-p- 选择器；参数用 JSON 字符串包起来，括号、引号不会破坏选择器
+function toSelector(target) {
+  const match = LOCATOR_PATTERN.exec(target);
+  if (!match) return null;
+  const kind = match[1];
+  const value = match[2].trim();
+
+  switch (kind) {
+    case 'css':
+      return value;
+    case 'xpath':
+      return `::-p-xpath(${JSON.stringify(value)})`;
+    case 'text':
+      return `::-p-text(${JSON.stringify(unquote(value))})`;
+    case 'label':
+      return `::-p-aria(${JSON.stringify(unquote(value))})`;
+    case 'role': {
+      const role = /^([\w-]+)([\s\S]*)$/.exec(value);
+      if (!role) throw new Error(`无效的定位器：${target}（格式：role=button[name="提交"]）`);
+      return `::-p-aria(${JSON.stringify(`[role="${role[1]}"]${role[2]}`)})`;
+    }
+  }
+  return null;
+}
+
+// 同一个 frame 里有多个匹配时优先返回可见的元素
+async function queryFrame(frame, selector) {
+  const handles = await frame.$$(selector);
+  let found = null;
+  for (const handle of handles) {
+    if (!found && await handle.isVisible().catch(() => false)) {
+      found = handle;
+    }
+  }
+  found = found || handles[0] || null;
+  await Promise.all(handles.filter(handle => handle !== found).map(handle => handle.dispose()));
+  return found;
+}
+
+// 先查主 frame（选择器写错时在这里报错），再依次查各个 iframe
+async function findElement(page, target) {
+  const selector = toSelector(target);
+  if (!selector) throw new Error(`无效的定位器：${target}`);
+
+  let handle;
+  try {
+    handle = await queryFrame(page.mainFrame(), selector);
+  } catch (error) {
+    throw new Error(`无效的定位器：${target}（${error.message}）`);
+  }
+  if (handle) return handle;
+
+  for (const frame of page.frames()) {
+    if (frame === page.mainFrame()) continue;
+    try {
+      handle = await queryFrame(frame, selector);
+    } catch (error) {
+      // frame 随时可能被移除
+      continue;
+    }
+    if (handle) return handle;
+  }
+  return null;
+}
+
+// 可被 signal 打断的等待，取消 wait 时不必等到下一次轮询
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function waitForElement(page, target, timeout, signal) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    signal?.throwIfAborted();
+    const handle = await findElement(page, target);
+    if (handle) return handle;
+    if (Date.now() >= deadline) {
+      throw new Error(`等待元素 ${target} 超时（${timeout}ms）`);
+    }
+    await delay(Math.min(POLL_INTERVAL, deadline - Date.now()), signal);
+  }
+}
+
+module.exports = { isLocator, toSelector, findElement, waitForElement };
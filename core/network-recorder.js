@@ -0,0 +1,183 @@
+const BODY_TYPES = ['document', 'xhr', 'fetch'];
+const TEXT_MIME = /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded)|[^;]*\+(json|xml))/i;
+
+class NetworkRecorder {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.maxBodySize = options.maxBodySize || 64 * 1024;
+    this.entries = [];
+    this.nextId = 1;
+    this.requestMap = new WeakMap();
+    this.resolveTabId = options.resolveTabId || (() => null);
+    this.onComplete = options.onComplete || (() => {});
+    this.capture = null;
+  }
+
+  attach(page) {
+    page.on('request', (request) => this.onRequest(page, request));
+    page.on('response', (response) => this.onResponse(response));
+    page.on('requestfinished', (request) => this.onFinished(request));
+    page.on('requestfailed', (request) => this.onFailed(request));
+  }
+
+  onRequest(page, request) {
+    const entry = {
+      id: this.nextId++,
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      status: null,
+      statusText: '',
+      mimeType: '',
+      startTime: Date.now(),
+      endTime: null,
+      duration: null,
+      size: null,
+      failure: null,
+      fromCache: false,
+      requestHeaders: request.headers(),
+      postData: request.postData() || null,
+      responseHeaders: null,
+      remoteAddress: null,
+      timing: null,
+      body: null,
+      bodyTruncated: false,
+      _page: page,
+    };
+
+    this.requestMap.set(request, entry);
+    if (this.capture && (!this.capture.page || this.capture.page === page)) {
+      this.capture.entries.push(entry);
+    }
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+  }
+
+  onResponse(response) {
+    const entry = this.requestMap.get(response.request());
+    if (!entry) return;
+
+    const headers = response.headers();
+    entry.status = response.status();
+    entry.statusText = response.statusText();
+    entry.responseHeaders = headers;
+    entry.mimeType = (headers['content-type'] || '').split(';')[0].trim();
+    entry.fromCache = response.fromCache();
+    entry.timing = response.timing();
+    const remote = response.remoteAddress();
+    entry.remoteAddress = remote?.ip ? `${remote.ip}:${remote.port}` : null;
+    if (headers['content-length']) entry.size = parseInt(headers['content-length']);
+  }
+
+  async onFinished(request) {
+    const entry = this.requestMap.get(request);
+    if (!entry) return;
+
+    entry.endTime = Date.now();
+    entry.duration = entry.endTime - entry.startTime;
+
+    await this.readBody(entry, request.response());
+    this.onComplete(this.toSummary(entry));
+  }
+
+  async readBody(entry, response) {
+    if (!response || !BODY_TYPES.includes(entry.resourceType)) return;
+    if (entry.status >= 300 && entry.status < 400) return;
+
+    try {
+      const buffer = await response.buffer();
+      entry.size = buffer.length;
+      if (TEXT_MIME.test(entry.mimeType)) {
+        entry.bodyTruncated = buffer.length > this.maxBodySize;
+        entry.body = buffer.subarray(0, this.maxBodySize).toString('utf-8');
+      }
+    } catch (error) {}
+  }
+
+  onFailed(request) {
+    const entry = this.requestMap.get(request);
+    if (!entry) return;
+
+    entry.endTime = Date.now();
+    entry.duration = entry.endTime - entry.startTime;
+    entry.failure = request.failure()?.errorText || 'failed';
+    this.onComplete(this.toSummary(entry));
+  }
+
+  getRequests(filter = {}) {
+    let entries = this.entries;
+
+    if (filter.page) {
+      entries = entries.filter(e => e._page === filter.page);
+    }
+    if (filter.types && filter.types.length > 0) {
+      entries = entries.filter(e => filter.types.includes(e.resourceType));
+    }
+    if (filter.status) {
+      entries = entries.filter(e => matchStatus(e, filter.status));
+    }
+    if (filter.url) {
+      entries = entries.filter(e => e.url.includes(filter.url));
+    }
+
+    return entries.map(e => this.toSummary(e));
+  }
+
+  getRequest(id) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry) return null;
+    const { _page, ...rest } = entry;
+    return { ...rest, tabId: this.resolveTabId(_page) };
+  }
+
+  toSummary(entry) {
+    return {
+      id: entry.id,
+      tabId: this.resolveTabId(entry._page),
+      method: entry.method,
+      url: entry.url,
+      resourceType: entry.resourceType,
+      status: entry.status,
+      duration: entry.duration,
+      size: entry.size,
+      failure: entry.failure,
+      startTime: entry.startTime,
+    };
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  startCapture(page = null) {
+    if (this.capture) {
+      throw new Error('HAR 录制已在进行中，请先使用 har stop <文件> 结束');
+    }
+    this.capture = { page, entries: [], startedAt: Date.now() };
+  }
+
+  stopCapture() {
+    if (!this.capture) {
+      throw new Error('没有正在进行的 HAR 录制，请先使用 har start');
+    }
+    const capture = this.capture;
+    this.capture = null;
+    return capture;
+  }
+
+  isCapturing() {
+    return this.capture !== null;
+  }
+}
+
+function matchStatus(entry, status) {
+  if (status === 'failed') return entry.failure !== null;
+  if (entry.status === null) return false;
+  const pattern = /^(\d)xx$/i.exec(status);
+  if (pattern) return Math.floor(entry.status / 100) === parseInt(pattern[1]);
+  return entry.status === parseInt(status);
+}
+
+module.exports = { NetworkRecorder };
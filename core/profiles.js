@@ -0,0 +1,60 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+class ProfileManager {
+  constructor(configDir) {
+    this.configDir = configDir || process.cwd();
+    this.profilesDir = path.join(this.configDir, 'profiles');
+  }
+
+  validateName(name) {
+    if (!name || !/^[\w.-]+$/.test(name) || name === '.' || name === '..') {
+      throw new Error(`无效的配置文件名：${name}（只能包含字母、数字、下划线、点和横线）`);
+    }
+  }
+
+  getPath(name) {
+    this.validateName(name);
+    return path.join(this.profilesDir, name);
+  }
+
+  exists(name) {
+    return fs.existsSync(this.getPath(name));
+  }
+
+  ensure(name) {
+    const profilePath = this.getPath(name);
+    fs.mkdirSync(profilePath, { recursive: true });
+    return profilePath;
+  }
+
+  create(name) {
+    if (this.exists(name)) {
+      throw new Error(`配置文件 ${name} 已存在`);
+    }
+    return this.ensure(name);
+  }
+
+  delete(name) {
+    if (!this.exists(name)) {
+      throw new Error(`配置文件 ${name} 不存在`);
+    }
+    fs.rmSync(this.getPath(name), { recursive: true, force: true });
+  }
+
+  list() {
+    if (!fs.existsSync(this.profilesDir)) return [];
+    return fs.readdirSync(this.profilesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => {
+        const profilePath = path.join(this.profilesDir, entry.name);
+        return {
+          name: entry.name,
+          path: profilePath,
+          modifiedAt: fs.statSync(profilePath).mtime.toISOString(),
+        };
+      });
+  }
+}
+
+module.exports = { ProfileManager };
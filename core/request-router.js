@@ -0,0 +1,156 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.txt': 'text/plain',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+};
+
+function matchUrl(pattern, url) {
+  if (!pattern.includes('*')) {
+    return url.includes(pattern);
+  }
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  return regex.test(url) || regex.test(url.split(/[?#]/)[0]);
+}
+
+class RequestRouter {
+  constructor() {
+    this.rules = [];
+    this.nextId = 1;
+    this.pages = new Set();
+  }
+
+  async attach(page) {
+    this.pages.add(page);
+    page.once('close', () => this.pages.delete(page));
+    page.on('request', (request) => this.handleRequest(request));
+    if (this.rules.length > 0) {
+      await page.setRequestInterception(true);
+    }
+  }
+
+  async sync() {
+    const enabled = this.rules.length > 0;
+    for (const page of this.pages) {
+      try {
+        await page.setRequestInterception(enabled);
+      } catch (error) {
+        this.pages.delete(page);
+      }
+    }
+  }
+
+  async handleRequest(request) {
+    if (request.interceptResolutionState().action === 'disabled') return;
+    if (request.isInterceptResolutionHandled()) return;
+
+    const url = request.url();
+    const rules = this.rules.filter(rule => matchUrl(rule.pattern, url));
+
+    try {
+      const block = rules.find(rule => rule.type === 'block');
+      if (block) {
+        block.hits++;
+        await request.abort('blockedbyclient');
+        return;
+      }
+
+      const mock = rules.find(rule => rule.type === 'mock');
+      if (mock) {
+        mock.hits++;
+        await request.respond({
+          status: mock.status,
+          contentType: mock.contentType,
+          headers: { 'Access-Control-Allow-Origin': '*' },
+          body: mock.body,
+        });
+        return;
+      }
+
+      const headerRules = rules.filter(rule => rule.type === 'header');
+      if (headerRules.length > 0) {
+        const headers = { ...request.headers() };
+        for (const rule of headerRules) {
+          rule.hits++;
+          Object.assign(headers, rule.headers);
+        }
+        await request.continue({ headers });
+        return;
+      }
+
+      await request.continue();
+    } catch (error) {}
+  }
+
+  async addBlock(pattern) {
+    return this.addRule({ type: 'block', pattern });
+  }
+
+  async addMock(pattern, filePath, status = 200) {
+    const fullPath = path.resolve(filePath);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`找不到模拟响应文件：${fullPath}`);
+    }
+    return this.addRule({
+      type: 'mock',
+      pattern,
+      file: fullPath,
+      status,
+      contentType: CONTENT_TYPES[path.extname(fullPath).toLowerCase()] || 'application/octet-stream',
+      body: fs.readFileSync(fullPath),
+    });
+  }
+
+  async addHeaders(pattern, headers) {
+    return this.addRule({ type: 'header', pattern, headers });
+  }
+
+  async addRule(rule) {
+    const fullRule = { id: this.nextId++, ...rule, hits: 0 };
+    this.rules.push(fullRule);
+    await this.sync();
+    return this.describe(fullRule);
+  }
+
+  async removeRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      throw new Error(`路由规则 #${id} 不存在`);
+    }
+    this.rules.splice(index, 1);
+    await this.sync();
+  }
+
+  async clear() {
+    const count = this.rules.length;
+    this.rules = [];
+    await this.sync();
+    return count;
+  }
+
+  listRules() {
+    return this.rules.map(rule => this.describe(rule));
+  }
+
+  describe(rule) {
+    const { body, ...rest } = rule;
+    return rest;
+  }
+}
+
+module.exports = { RequestRouter, matchUrl };
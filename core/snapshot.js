@@ -1,397 +1,583 @@
+const MAX_TRACKED_NODES = 20000;
+
+const BOUNDS_BATCH_SIZE = 50;
+
+const STATE_PROPERTIES = ['checked', 'pressed', 'selected', 'expanded', 'disabled', 'focused', 'invalid', 'required', 'readonly'];
+
+const INTERACTIVE_ROLES = new Set([
+  'button', 'textbox', 'link', 'checkbox', 'radio',
+  'combobox', 'listbox', 'menuitem', 'option', 'tab',
+  'treeitem', 'menu', 'menubar', 'toolbar', 'searchbox',
+  'spinbutton', 'slider', 'switch',
+]);
+
+function readStates(getProperty) {
+  const states = {};
+  for (const name of STATE_PROPERTIES) {
+    const value = getProperty(name);
+    if (value === undefined || value === null || (name === 'invalid' && value === 'false')) continue;
+    states[name] = value;
+  }
+  return states;
+}
+
+// page.accessibility.snapshot() 返回的节点
+function readSerializedNode(node) {
+  return {
+    role: node.role,
+    name: node.name,
+    value: node.value,
+    description: node.description,
+    level: node.level,
+    url: node.url,
+    states: readStates(name => node[name]),
+    backendNodeId: node.backendNodeId,
+    loaderId: node.loaderId,
+  };
+}
+
+// Accessibility.getFullAXTree 返回的节点，属性值都包在 { value } 里
+function readCDPNode(node) {
+  const property = name => node.properties?.find(p => p.name === name)?.value?.value;
+  return {
+    role: node.role?.value,
+    name: node.name?.value,
+    value: node.value?.value,
+    description: node.description?.value,
+    level: property('level'),
+    url: property('url'),
+    states: readStates(property),
+    backendNodeId: node.backendDOMNodeId,
+    loaderId: node.loaderId,
+  };
+}
+
+function collectNodes(axNode, nodes = []) {
+  nodes.push(axNode);
+  for (const child of axNode.children || []) collectNodes(child, nodes);
+  return nodes;
+}
+
+// 每个节点的位置需要单独查询，分批并发以免一次压上几千个 CDP 请求
+async function forEachInBatches(items, fn) {
+  for (let i = 0; i < items.length; i += BOUNDS_BATCH_SIZE) {
+    await Promise.all(items.slice(i, i + BOUNDS_BATCH_SIZE).map(fn));
+  }
+}
+
+function toBounds(box) {
+  return {
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height),
+  };
+}
+
+// 状态的文本形式，如 "checked focused expanded=false"
+function formatStates(states) {
+  return Object.entries(states)
+    .map(([name, value]) => (value === true ? name : `${name}=${value}`))
+    .join(' ');
+}
+
+// button: 登录 [x,y wxh]
+function formatDescription(info) {
+  const parts = [];
+  if (info.name) parts.push(info.name);
+  if (info.value && info.value !== info.name) parts.push(`value: ${info.value}`);
+  if (info.description) parts.push(info.description);
+
+  const desc = parts.join(' ') || info.role;
+  const bounds = info.bounds ? ` [${info.bounds.x},${info.bounds.y} ${info.bounds.width}x${info.bounds.height}]` : '';
+  return `${info.role}: ${desc}${bounds}`;
+}
+
+// l 命令输出的一行，按层级缩进：[uid_5] button: 登录 [x,y wxh]
+function formatLine(info) {
+  return `${'  '.repeat(info.depth)}[${info.uid}] ${formatDescription(info)}`;
+}
+
+function describeNode(info) {
+  const value = info.value !== '' && info.value !== info.name ? ` value: ${JSON.stringify(info.value)}` : '';
+  const state = info.state ? ` (${info.state})` : '';
+  return `[${info.uid}] ${info.role}: ${info.name}${value}${state}`;
+}
+
+function staleReference(uid) {
+  return new Error(`元素 ${uid} 已失效（对应的节点已从页面移除），请用 l 或 lc 重新获取元素列表`);
+}
+
+// 在页面（或 iframe）里执行，连同开放的 shadow root 一起收集带文字的元素；
+// targetIndex >= 0 时直接返回对应的元素，供 ocr_N 定位
+function collectOCRElements(targetIndex) {
+  function getControlType(el) {
+    const tagName = el.tagName.toLowerCase();
+    const type = el.type || '';
+    const role = el.getAttribute('role') || '';
+
+    if (tagName === 'button') return 'button';
+    if (tagName === 'a') return 'link';
+    if (tagName === 'input') {
+      if (type === 'text' || type === 'search' || type === 'password' || type === 'email' || type === 'number') return 'textbox';
+      if (type === 'submit' || type === 'button' || type === 'reset') return 'button';
+      if (type === 'checkbox') return 'checkbox';
+      if (type === 'radio') return 'radio';
+      return `input[${type}]`;
+    }
+    if (tagName === 'select') return 'combobox';
+    if (tagName === 'textarea') return 'textbox';
+    if (tagName === 'label') return 'label';
+    if (role) return role;
+    return tagName;
+  }
+
+  const selectors = [
+    'button', 'input[type="text"]', 'input[type="search"]',
+    'input[type="submit"]', 'input[type="button"]', 'a', 'label',
+    'span', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div',
+    '[role="button"]', '[role="link"]', '[role="heading"]', '[role="text"]',
+  ].join(', ');
+
+  const elements = [];
+  const visit = (root) => {
+    for (const el of root.querySelectorAll(selectors)) elements.push(el);
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) visit(el.shadowRoot);
+    }
+  };
+  visit(document);
+
+  if (targetIndex >= 0) return elements[targetIndex] || null;
+
+  const results = [];
+  elements.forEach((el, elementIndex) => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    const style = window.getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') return;
+
+    let text = '';
+    const tagName = el.tagName.toLowerCase();
+
+    if (tagName === 'input') {
+      text = el.placeholder || el.value || '';
+    } else if (tagName === 'button' || tagName === 'a') {
+      text = el.textContent.trim();
+    } else {
+      text = Array.from(el.childNodes)
+        .filter(n => n.nodeType === 3)
+        .map(n => n.textContent.trim())
+        .join(' ');
+    }
+
+    if (!text || text.length < 1 || text.length > 50) return;
+    if (/^\d+$/.test(text)) return;
+
+    results.push({
+      type: getControlType(el),
+      text,
+      x: rect.left,
+      y: rect.top,
+      width: rect.width,
+      height: rect.height,
+      elementIndex,
+    });
+  });
+
+  return results;
+}
+
 class SnapshotManager {
   constructor(browserManager) {
     this.browserManager = browserManager;
     this.lastSnapshot = null;
+    this.lastTree = null;
     this.snapshotIdToNode = new Map();
+    this.snapshotPage = null;
     this.nextUid = 1;
+    this.uidByNodeKey = new Map();
+    this.generation = 0;
+    this.frameLabels = new WeakMap();
+    this.nextFrameLabel = 1;
+    this.invalidReason = null;
   }
 
+  // UID 只增不减，已经分配过的 UID 不会指向其他元素
   reset() {
     this.lastSnapshot = null;
+    this.lastTree = null;
     this.snapshotIdToNode.clear();
-    this.nextUid = 1;
+    this.uidByNodeKey.clear();
   }
 
-  getLastSnapshot() {
-    return this.lastSnapshot;
+  // 同一个 DOM 节点在多次快照中保持同一个 UID，loaderId 区分导航前后的不同文档；
+  // iframe 里的元素带上 frame 编号，如 f1:uid_7
+  assignUid(backendNodeId, loaderId, frame) {
+    const prefix = frame ? `${frame}:` : '';
+    if (!backendNodeId) return `${prefix}uid_${this.nextUid++}`;
+
+    const key = `${loaderId || ''}:${backendNodeId}`;
+    const entry = this.uidByNodeKey.get(key) || { uid: `${prefix}uid_${this.nextUid++}` };
+    entry.generation = this.generation;
+    this.uidByNodeKey.set(key, entry);
+    return entry.uid;
   }
 
-  getNodeByUid(uid) {
-    return this.snapshotIdToNode.get(uid);
+  // 记录的节点过多时只淘汰本次快照里没有出现的，仍在页面上的元素保持原来的 UID
+  pruneNodeKeys() {
+    if (this.uidByNodeKey.size <= MAX_TRACKED_NODES) return;
+    for (const [key, entry] of this.uidByNodeKey) {
+      if (entry.generation !== this.generation) this.uidByNodeKey.delete(key);
+    }
   }
 
-  buildAXTree(node, parentUid = null) {
-    if (!node) return null;
-
-    const uid = `uid_${this.nextUid++}`;
-    const tree = {
-      uid,
-      role: node.role?.value || 'unknown',
-      name: node.name?.value || '',
-      description: node.description?.value || '',
-      value: node.value?.value || '',
-      bounds: node.bounds || null,
-      children: [],
-      parentUid,
-      backendNodeId: node.backendDOMNodeId,
-    };
+  isIssuedUid(uid) {
+    const match = /^(?:f\d+:)?uid_(\d+)$/.exec(uid);
+    return Boolean(match) && Number(match[1]) < this.nextUid;
+  }
 
-    this.snapshotIdToNode.set(uid, { ...tree, _node: node });
+  // 浏览器重启后旧 UID 指向的元素已不存在，直接重新快照会让 uid_N 对应到新页面上的其他元素，
+  // 因此在重新获取元素列表之前拒绝按 UID 操作
+  invalidate(reason) {
+    this.reset();
+    this.invalidReason = reason;
+  }
 
-    if (node.children && Array.isArray(node.children)) {
-      for (const child of node.children) {
-        const childTree = this.buildAXTree(child, uid);
-        if (childTree) {
-          tree.children.push(childTree);
-        }
-      }
+  assertValid() {
+    if (this.invalidReason) {
+      throw new Error(`${this.invalidReason}，之前的元素 UID 已失效，请先用 l 或 lc 重新获取元素列表`);
     }
+  }
+
+  getLastSnapshot() {
+    return this.lastSnapshot;
+  }
+
+  getNodeByUid(uid) {
+    return this.snapshotIdToNode.get(uid);
+  }
 
-    return tree;
+  getNodeCount() {
+    return this.snapshotIdToNode.size;
   }
 
-  async takeSnapshot() {
+  // 元素位置要逐个节点查询，只有 options.bounds 为 true（l --format json|yaml）时才获取
+  async takeSnapshot(options = {}) {
     const page = this.browserManager.getCurrentPage();
     if (!page) {
       throw new Error('没有选中的页面');
     }
 
-    this.nextUid = 1;
+    // 获取失败时不能保留上一个页面的快照，否则旧 UID 会被当成当前页面的元素继续使用
+    this.lastSnapshot = null;
     this.snapshotIdToNode.clear();
+    this.lastTree = null;
+    this.snapshotPage = page;
+    this.invalidReason = null;
 
     try {
-      const snapshot = await page.accessibility.snapshot({ interestingOnly: true });
+      const snapshot = await page.accessibility.snapshot({ interestingOnly: true, includeIframes: true });
 
       if (!snapshot) {
         this.lastSnapshot = '未找到可访问的元素';
         return this.lastSnapshot;
       }
 
-      this.lastSnapshot = this.formatAccessibilityTree(snapshot, 0);
+      const frames = await this.labelFrames(snapshot);
+      const bounds = options.bounds ? await this.loadBounds(snapshot) : null;
+      this.generation++;
+      this.lastTree = this.buildTree(snapshot, 0, readSerializedNode, { frames, bounds });
+      this.pruneNodeKeys();
+      this.lastSnapshot = this.renderText();
       return this.lastSnapshot;
     } catch (error) {
-      return await this.takeSnapshotCDP();
-    }
-  }
-
-  formatAccessibilityTree(node, depth) {
-    if (!node) return '';
-
-    const indent = '  '.repeat(depth);
-    const uid = `uid_${this.nextUid++}`;
-
-    this.snapshotIdToNode.set(uid, {
-      uid,
-      role: node.role || 'unknown',
-      name: node.name || '',
-      bounds: node.bounds,
-      backendNodeId: node.backendDOMNodeId,
-      _axNode: node,
-    });
-
-    const parts = [];
-    if (node.name) parts.push(node.name);
-    if (node.value && node.value !== node.name) parts.push(`value: ${node.value}`);
-    if (node.description) parts.push(node.description);
-
-    const desc = parts.join(' ') || node.role || 'unknown';
-    const bounds = node.bounds ? ` [${node.bounds.x},${node.bounds.y} ${node.bounds.width}x${node.bounds.height}]` : '';
-
-    let text = `${indent}[${uid}] ${node.role || 'unknown'}: ${desc}${bounds}\n`;
-
-    if (node.children && Array.isArray(node.children)) {
-      for (const child of node.children) {
-        text += this.formatAccessibilityTree(child, depth + 1);
-      }
+      return await this.takeSnapshotCDP(options);
     }
-
-    return text;
   }
 
-  async takeSnapshotCDP() {
+  async takeSnapshotCDP(options = {}) {
     const page = this.browserManager.getCurrentPage();
     const client = await page.target().createCDPSession();
 
     try {
       await client.send('Accessibility.enable');
       const result = await client.send('Accessibility.getFullAXTree');
+      const { frameTree } = await client.send('Page.getFrameTree');
+      const loaderId = frameTree.frame.loaderId;
 
-      this.nextUid = 1;
       this.snapshotIdToNode.clear();
 
       if (!result.nodes || result.nodes.length === 0) {
-        return '未找到可访问的元素';
+        this.lastSnapshot = '未找到可访问的元素';
+        return this.lastSnapshot;
       }
 
-      const nodeMap = new Map();
-      const childrenMap = new Map();
+      const nodeMap = new Map(result.nodes.map(node => [node.nodeId, node]));
+      const rootNode = result.nodes.find(n => n.role?.value === 'RootWebArea') || result.nodes[0];
 
-      for (const node of result.nodes) {
-        const id = node.nodeId || node.backendDOMNodeId;
-        if (id) {
-          nodeMap.set(id, node);
-        }
-        const childRefs = node.childIds || node.childIdRefs || [];
-        if (childRefs.length > 0) {
-          childrenMap.set(id, childRefs);
-        }
-      }
+      // 把 CDP 的扁平节点列表转成与 puppeteer 快照相同的嵌套结构，被忽略的节点由子节点顶替
+      const childrenOf = node => (node.childIds || [])
+        .map(id => nodeMap.get(id))
+        .filter(Boolean)
+        .flatMap(child => (child.ignored ? childrenOf(child) : [nest(child)]));
+      const nest = node => ({ ...node, loaderId, children: childrenOf(node) });
 
-      let rootNode = result.nodes.find(n => n.role?.value === 'RootWebArea');
-      if (!rootNode) {
-        rootNode = result.nodes[0];
-      }
+      const root = nest(rootNode);
+      const bounds = options.bounds ? await this.loadBoundsCDP(client, root) : null;
 
-      this.lastSnapshot = this.formatAXNode(rootNode, nodeMap, childrenMap, 0);
+      this.generation++;
+      this.lastTree = this.buildTree(root, 0, readCDPNode, { bounds, frame: page.mainFrame() });
+      this.pruneNodeKeys();
+      this.lastSnapshot = this.renderText();
       return this.lastSnapshot;
     } catch (error) {
+      this.snapshotIdToNode.clear();
+      this.lastTree = null;
       return `获取快照失败：${error.message}`;
     } finally {
       await client.detach();
     }
   }
 
-  formatAXNode(node, nodeMap, childrenMap, depth) {
-    if (!node) return '';
+  // includeIframes 把 iframe 的快照接在 Iframe 节点的最后一个子节点上，按 frame 对象编号，
+  // iframe 重新加载后编号不变
+  async labelFrames(axNode, frames = new Map()) {
+    const children = axNode.children || [];
+    const frameRoot = children[children.length - 1];
+    if (axNode.role === 'Iframe' && frameRoot && frameRoot.loaderId !== axNode.loaderId) {
+      const label = await this.getFrameLabel(axNode);
+      if (label) frames.set(frameRoot, label);
+    }
+    for (const child of children) {
+      await this.labelFrames(child, frames);
+    }
+    return frames;
+  }
 
-    const indent = '  '.repeat(depth);
-    const uid = `uid_${this.nextUid++}`;
+  async getFrameLabel(iframeNode) {
+    let handle = null;
+    try {
+      handle = await iframeNode.elementHandle();
+      const frame = await handle?.contentFrame();
+      if (!frame) return null;
+      if (!this.frameLabels.has(frame)) this.frameLabels.set(frame, `f${this.nextFrameLabel++}`);
+      return this.frameLabels.get(frame);
+    } catch (error) {
+      return null;
+    } finally {
+      await handle?.dispose();
+    }
+  }
 
-    this.snapshotIdToNode.set(uid, {
-      uid,
-      role: node.role?.value || 'unknown',
-      name: node.name?.value || '',
-      backendNodeId: node.backendDOMNodeId,
-      bounds: node.bounds,
+  // 快照节点本身不带位置；boundingBox() 返回的已经是顶层页面坐标（包含 iframe 的偏移）
+  async loadBounds(root) {
+    const bounds = new Map();
+    await forEachInBatches(collectNodes(root), async (axNode) => {
+      if (!axNode.backendNodeId) return;
+      let handle = null;
+      try {
+        handle = await axNode.elementHandle();
+        const box = await handle?.boundingBox();
+        if (box) bounds.set(axNode, toBounds(box));
+      } catch (e) {
+        // 文本节点、文档节点没有 boundingBox
+      } finally {
+        await handle?.dispose();
+      }
     });
+    return bounds;
+  }
 
-    const parts = [];
-    if (node.name?.value) parts.push(node.name.value);
-    if (node.value?.value && node.value.value !== node.name?.value) parts.push(`value: ${node.value.value}`);
-    if (node.description?.value) parts.push(node.description.value);
+  async loadBoundsCDP(client, root) {
+    const bounds = new Map();
+    await forEachInBatches(collectNodes(root), async (node) => {
+      if (!node.backendDOMNodeId) return;
+      try {
+        const { model } = await client.send('DOM.getBoxModel', { backendNodeId: node.backendDOMNodeId });
+        bounds.set(node, toBounds({ x: model.border[0], y: model.border[1], width: model.width, height: model.height }));
+      } catch (e) {}
+    });
+    return bounds;
+  }
 
-    const desc = parts.join(' ') || node.role?.value || 'unknown';
-    const bounds = node.bounds ? ` [${node.bounds.x},${node.bounds.y} ${node.bounds.width}x${node.bounds.height}]` : '';
+  buildTree(axNode, depth, read, context = {}, frame = '') {
+    frame = context.frames?.get(axNode) || frame;
+    const fields = read(axNode);
+    const uid = this.assignUid(fields.backendNodeId, fields.loaderId, frame);
 
-    let text = `${indent}[${uid}] ${node.role?.value || 'unknown'}: ${desc}${bounds}\n`;
+    const node = { uid, role: fields.role || 'unknown', name: fields.name || '' };
+    if (fields.value !== undefined && fields.value !== '') node.value = fields.value;
+    if (fields.description) node.description = fields.description;
+    if (fields.level) node.level = fields.level;
+    if (Object.keys(fields.states).length > 0) node.states = fields.states;
+    if (fields.url) node.url = fields.url;
+    if (context.bounds?.has(axNode)) node.bounds = context.bounds.get(axNode);
 
-    const childIds = childrenMap.get(node.backendDOMNodeId);
-    if (childIds && childIds.length > 0) {
-      for (const childId of childIds) {
-        const childNode = nodeMap.get(childId);
-        if (childNode) {
-          text += this.formatAXNode(childNode, nodeMap, childrenMap, depth + 1);
-        }
-      }
-    }
+    this.snapshotIdToNode.set(uid, {
+      ...node,
+      value: node.value ?? '',
+      state: formatStates(fields.states),
+      depth,
+      backendNodeId: fields.backendNodeId,
+      _axNode: read === readSerializedNode ? axNode : undefined,
+      _frame: context.frame,
+    });
 
-    return text;
+    const children = (axNode.children || []).map(child => this.buildTree(child, depth + 1, read, context, frame));
+    if (children.length > 0) node.children = children;
+    return node;
   }
 
-  formatSnapshotText(node, depth) {
-    if (!node) return '';
+  renderText() {
+    return [...this.snapshotIdToNode.values()].map(info => formatLine(info) + '\n').join('');
+  }
 
-    const indent = '  '.repeat(depth);
-    let text = '';
+  getTree() {
+    return this.lastTree;
+  }
 
-    const skipRoles = ['generic', 'none', 'InlineTextBox'];
-    if (skipRoles.includes(node.role)) {
-      for (const child of node.children) {
-        text += this.formatSnapshotText(child, depth);
-      }
-      return text;
-    }
+  // 重新获取快照并与上一次快照比较；上一次快照不存在或来自其他标签页时返回 null，
+  // 获取失败时抛出错误，不把失败当成所有元素都被移除
+  async diffSnapshot() {
+    const page = this.browserManager.getCurrentPage();
+    const previous = this.lastSnapshot && this.snapshotPage === page ? new Map(this.snapshotIdToNode) : null;
 
-    const parts = [];
-    if (node.name) parts.push(node.name);
-    if (node.value && node.value !== node.name) parts.push(`value: ${node.value}`);
-    if (node.description) parts.push(node.description);
+    const result = await this.takeSnapshot();
+    if (!this.lastSnapshot) throw new Error(result);
+    if (!previous || previous.size === 0) return null;
 
-    const desc = parts.join(' ') || node.role;
-    const bounds = node.bounds ? ` [${node.bounds.x},${node.bounds.y} ${node.bounds.width}x${node.bounds.height}]` : '';
+    const added = [];
+    const changed = [];
+    for (const [uid, info] of this.snapshotIdToNode) {
+      const before = previous.get(uid);
+      if (!before) {
+        added.push(info);
+        continue;
+      }
+      const changes = ['name', 'value', 'state']
+        .filter(field => String(before[field] ?? '') !== String(info[field] ?? ''))
+        .map(field => ({ field, before: before[field] ?? '', after: info[field] ?? '' }));
+      if (changes.length > 0) changed.push({ ...info, changes });
+    }
+    const removed = [...previous.values()].filter(info => !this.snapshotIdToNode.has(info.uid));
 
-    text += `${indent}[${node.uid}] ${node.role}: ${desc}${bounds}\n`;
+    const strip = ({ _axNode, _frame, backendNodeId, bounds, depth, states, ...rest }) => rest;
+    return {
+      added: added.map(strip),
+      removed: removed.map(strip),
+      changed: changed.map(strip),
+      // 一个元素都没保留下来，通常是页面已经跳转
+      replaced: added.length > 0 && added.length === this.snapshotIdToNode.size,
+    };
+  }
 
-    for (const child of node.children) {
-      text += this.formatSnapshotText(child, depth + 1);
+  formatDiff(diff) {
+    const lines = [];
+    for (const info of diff.added) lines.push(`+ ${describeNode(info)}`);
+    for (const info of diff.removed) lines.push(`- ${describeNode(info)}`);
+    for (const info of diff.changed) {
+      const changes = info.changes
+        .map(c => `${c.field}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`)
+        .join('; ');
+      lines.push(`~ [${info.uid}] ${info.role}: ${info.name}  ${changes}`);
     }
-
-    return text;
+    return lines;
   }
 
-  async getSnapshotLines() {
-    if (!this.lastSnapshot) return [];
+  // 链接的地址优先取快照里的 url，CDP 快照没有时按链接文字从页面里查
+  async getLinkHrefs(records) {
+    const links = records.filter(info => info.role === 'link');
+    const hrefs = new Map(links.filter(info => info.url).map(info => [info.uid, info.url]));
+    if (hrefs.size === links.length) return hrefs;
 
     const page = this.browserManager.getCurrentPage();
-    let linkHrefs = {};
+    let hrefsByText = {};
     if (page) {
       try {
-        linkHrefs = await page.evaluate(() => {
-          const hrefs = {};
+        hrefsByText = await page.evaluate(() => {
+          const result = {};
           document.querySelectorAll('a[href]').forEach((el) => {
             const text = el.textContent?.trim() || el.getAttribute('aria-label') || '';
-            if (text) hrefs[text] = el.href;
+            if (text) result[text] = el.href;
           });
-          return hrefs;
+          return result;
         });
       } catch (e) {}
     }
-
-    const lines = this.lastSnapshot.split('\n').filter(line => line.trim());
-    return lines.map(line => {
-      let output = line;
-      const linkMatch = line.match(/link:\s*([^\[\n]+)/);
-      if (linkMatch) {
-        const linkText = linkMatch[1].trim();
-        const href = linkHrefs[linkText];
-        if (href) output += ` → ${href}`;
-      }
-      return output;
-    });
+    for (const info of links) {
+      if (!hrefs.has(info.uid) && hrefsByText[info.name.trim()]) hrefs.set(info.uid, hrefsByText[info.name.trim()]);
+    }
+    return hrefs;
   }
 
-  getInteractiveElements() {
+  async getSnapshotLines() {
     if (!this.lastSnapshot) return [];
+    if (this.snapshotIdToNode.size === 0) return [this.lastSnapshot];
 
-    const interactiveTypes = [
-      'button:', 'textbox:', 'link:', 'checkbox:', 'radio:',
-      'combobox:', 'listbox:', 'menuitem:', 'option:', 'tab:',
-      'treeitem:', 'menu:', 'menubar:', 'toolbar:', 'searchbox:',
-      'spinbutton:', 'slider:', 'switch:'
-    ];
+    const records = [...this.snapshotIdToNode.values()];
+    const hrefs = await this.getLinkHrefs(records);
+    return records.map(info => formatLine(info) + (hrefs.has(info.uid) ? ` → ${hrefs.get(info.uid)}` : ''));
+  }
 
-    const lines = this.lastSnapshot.split('\n');
+  getInteractiveElements() {
     const results = [];
-
-    for (const line of lines) {
-      if (line.trim()) {
-        const match = line.match(/\[uid_(\d+)\]/i);
-        if (match) {
-          const uid = `uid_${match[1]}`;
-          for (const type of interactiveTypes) {
-            if (line.includes(type)) {
-              let desc = line.replace(/\[uid_\d+\]\s*/i, '').trim();
-              results.push({ uid, type: type.replace(':', ''), desc, raw: line });
-              break;
-            }
-          }
-        }
-      }
+    for (const info of this.snapshotIdToNode.values()) {
+      if (!INTERACTIVE_ROLES.has(info.role)) continue;
+      results.push({ uid: info.uid, type: info.role, name: info.name, desc: formatDescription(info), raw: formatLine(info) });
     }
-
     return results;
   }
 
-  async getElementsForOCR() {
+  async getInteractiveLines() {
+    const elements = this.getInteractiveElements();
+    const hrefs = await this.getLinkHrefs(elements.map(e => this.snapshotIdToNode.get(e.uid)));
+    return elements.map(e => `[${e.uid}] ${e.desc}${hrefs.has(e.uid) ? ` → ${hrefs.get(e.uid)}` : ''}`);
+  }
+
+  // 每个 frame 单独收集，坐标换算到顶层页面；返回的 elementIndex 用于之后在同一个 frame 里取回元素
+  async collectOCR() {
     const page = this.browserManager.getCurrentPage();
     if (!page) return [];
 
-    this.nextUid = 1;
-    this.snapshotIdToNode.clear();
-
-    return await page.evaluate(() => {
-      function getXPath(element) {
-        if (element.id) return `//*[@id="${element.id}"]`;
-
-        const paths = [];
-        let current = element;
-
-        while (current && current.nodeType === Node.ELEMENT_NODE) {
-          let index = 1;
-          let sibling = current.previousSibling;
-
-          while (sibling) {
-            if (sibling.nodeType === Node.ELEMENT_NODE && sibling.nodeName === current.nodeName) {
-              index++;
-            }
-            sibling = sibling.previousSibling;
-          }
-
-          const tagName = current.nodeName.toLowerCase();
-          const pathIndex = index > 1 ? `[${index}]` : '';
-          paths.unshift(`${tagName}${pathIndex}`);
-
-          current = current.parentNode;
+    const entries = [];
+    for (const frame of page.frames()) {
+      let offset = { x: 0, y: 0 };
+      try {
+        if (frame !== page.mainFrame()) {
+          const owner = await frame.frameElement();
+          const box = await owner?.boxModel();
+          await owner?.dispose();
+          if (!box) continue;
+          offset = box.content[0];
         }
-
-        return paths.length ? '/' + paths.join('/') : null;
-      }
-
-      function getControlType(el) {
-        const tagName = el.tagName.toLowerCase();
-        const type = el.type || '';
-        const role = el.getAttribute('role') || '';
-
-        if (tagName === 'button') return 'button';
-        if (tagName === 'a') return 'link';
-        if (tagName === 'input') {
-          if (type === 'text' || type === 'search' || type === 'password' || type === 'email' || type === 'number') return 'textbox';
-          if (type === 'submit' || type === 'button' || type === 'reset') return 'button';
-          if (type === 'checkbox') return 'checkbox';
-          if (type === 'radio') return 'radio';
-          return `input[${type}]`;
+        const elements = await frame.evaluate(collectOCRElements, -1);
+        for (const info of elements) {
+          entries.push({ frame, info: { ...info, x: info.x + offset.x, y: info.y + offset.y } });
         }
-        if (tagName === 'select') return 'combobox';
-        if (tagName === 'textarea') return 'textbox';
-        if (tagName === 'label') return 'label';
-        if (role) return role;
-        return tagName;
+      } catch (error) {
+        // frame 随时可能被移除
       }
+    }
 
-      const results = [];
-      const selectors = [
-        'button', 'input[type="text"]', 'input[type="search"]',
-        'input[type="submit"]', 'input[type="button"]', 'a', 'label',
-        'span', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div',
-        '[role="button"]', '[role="link"]', '[role="heading"]', '[role="text"]',
-      ];
-
-      const elements = document.querySelectorAll(selectors.join(', '));
-
-      for (const el of elements) {
-        const rect = el.getBoundingClientRect();
-        if (rect.width === 0 || rect.height === 0) continue;
-
-        const style = window.getComputedStyle(el);
-        if (style.display === 'none' || style.visibility === 'hidden') continue;
-
-        let text = '';
-        const tagName = el.tagName.toLowerCase();
-
-        if (tagName === 'input') {
-          text = el.placeholder || el.value || '';
-        } else if (tagName === 'button' || tagName === 'a') {
-          text = el.textContent.trim();
-        } else {
-          text = Array.from(el.childNodes)
-            .filter(n => n.nodeType === 3)
-            .map(n => n.textContent.trim())
-            .join(' ');
-        }
-
-        if (!text || text.length < 1 || text.length > 50) continue;
-        if (/^\d+$/.test(text)) continue;
-
-        results.push({
-          uid: `ocr_${results.length + 1}`,
-          type: getControlType(el),
-          text,
-          x: rect.left,
-          y: rect.top,
-          width: rect.width,
-          height: rect.height,
-          xpath: getXPath(el),
-        });
-      }
+    entries.sort((a, b) => {
+      const yDiff = Math.round(a.info.y / 10) - Math.round(b.info.y / 10);
+      if (yDiff !== 0) return yDiff;
+      return a.info.x - b.info.x;
+    });
 
-      results.sort((a, b) => {
-        const yDiff = Math.round(a.y / 10) - Math.round(b.y / 10);
-        if (yDiff !== 0) return yDiff;
-        return a.x - b.x;
-      });
+    return entries.map(({ frame, info: { elementIndex, ...info } }, i) => ({
+      frame,
+      elementIndex,
+      info: { uid: `ocr_${i + 1}`, ...info },
+    }));
+  }
 
-      return results;
-    });
+  async getElementsForOCR() {
+    this.snapshotIdToNode.clear();
+    const entries = await this.collectOCR();
+    return entries.map(entry => entry.info);
   }
 
   async getElementByUid(uid) {
@@ -399,87 +585,48 @@ class SnapshotManager {
 
     if (uid.startsWith('ocr_')) {
       const index = parseInt(uid.substring(4)) - 1;
-      const elements = await this.getElementsForOCR();
-      if (index < 0 || index >= elements.length) {
+      const entries = await this.collectOCR();
+      if (index < 0 || index >= entries.length) {
         throw new Error(`元素 ${uid} 不存在`);
       }
-      const elementInfo = elements[index];
-
-      const handle = await page.evaluateHandle((xpath) => {
-        const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-        return result.singleNodeValue;
-      }, elementInfo.xpath);
+      const { frame, elementIndex } = entries[index];
 
+      const handle = await frame.evaluateHandle(collectOCRElements, elementIndex);
       return handle.asElement();
     }
 
     const nodeInfo = this.snapshotIdToNode.get(uid);
     if (!nodeInfo) {
+      if (this.isIssuedUid(uid)) throw staleReference(uid);
       throw new Error(`元素 ${uid} 不存在，请先获取快照`);
     }
-
-    if (nodeInfo._axNode && typeof nodeInfo._axNode.elementHandle === 'function') {
-      try {
-        const handle = await nodeInfo._axNode.elementHandle();
-        if (handle) return handle;
-      } catch (error) {}
+    if (!nodeInfo.backendNodeId) {
+      throw new Error(`找不到元素 ${uid} 对应的 DOM 节点`);
     }
 
-    const handle = await page.evaluateHandle(
-      ({ role, name, bounds }) => {
-        const allElements = document.querySelectorAll('*');
-        let bestMatch = null;
-        let bestScore = 0;
-
-        for (const el of allElements) {
-          let score = 0;
-
-          const elRole = el.getAttribute('role') || el.tagName.toLowerCase();
-          if (elRole === role) {
-            score += 10;
-          } else if (role === 'link' && el.tagName === 'A') {
-            score += 10;
-          } else if (role === 'button' && (el.tagName === 'BUTTON' || el.getAttribute('role') === 'button')) {
-            score += 10;
-          } else if (role === 'textbox' && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA')) {
-            score += 10;
-          }
-
-          const elText = el.textContent?.trim() || el.getAttribute('aria-label') || el.getAttribute('placeholder') || '';
-          if (name && elText) {
-            if (elText === name) {
-              score += 20;
-            } else if (elText.includes(name)) {
-              score += 15;
-            } else if (name.includes(elText)) {
-              score += 10;
-            }
-          }
-
-          if (bounds) {
-            const rect = el.getBoundingClientRect();
-            const xMatch = Math.abs(rect.left - bounds.x) < 10;
-            const yMatch = Math.abs(rect.top - bounds.y) < 10;
-            if (xMatch && yMatch) score += 30;
-          }
-
-          if (score > bestScore) {
-            bestScore = score;
-            bestMatch = el;
-          }
-        }
-
-        return bestMatch;
-      },
-      { role: nodeInfo.role, name: nodeInfo.name, bounds: nodeInfo.bounds }
-    );
-
-    const element = handle.asElement();
-    if (!element) {
-      throw new Error(`找不到元素 ${uid} 对应的 DOM 节点`);
+    let handle = null;
+    try {
+      handle = nodeInfo._axNode && typeof nodeInfo._axNode.elementHandle === 'function'
+        ? await nodeInfo._axNode.elementHandle()
+        : await this.resolveBackendNode(nodeInfo._frame || page.mainFrame(), nodeInfo.backendNodeId);
+    } catch (error) {}
+
+    if (!handle || !await handle.evaluate(el => el.isConnected).catch(() => false)) {
+      await handle?.dispose();
+      throw staleReference(uid);
     }
+    return handle;
+  }
+
+  // 在节点所属 frame 的会话里 DOM.resolveNode（与 puppeteer 的 AXNode.elementHandle() 相同的做法），
+  // 不需要修改页面 DOM，iframe 和 shadow root 里的节点也能直接取到
+  async resolveBackendNode(frame, backendNodeId) {
+    const handle = await frame.mainRealm().adoptBackendNode(backendNodeId);
+    if (!await handle.evaluate(node => node.nodeType === Node.TEXT_NODE)) return handle;
 
-    return element;
+    const parent = await handle.evaluateHandle(node => node.parentElement);
+    await handle.dispose();
+    return parent.asElement();
   }
 
   async findElementByText(text, index = 1, type = 'click') {
@@ -0,0 +1,175 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'secure', 'httpOnly', 'sameSite', 'priority', 'sourceScheme', 'partitionKey'];
+
+// 以点开头的是域 Cookie，子域名也会带上；没有点的是 host-only Cookie，只属于这一个主机名
+function domainMatches(cookieDomain, host) {
+  const domain = cookieDomain.replace(/^\./, '').toLowerCase();
+  host = host.toLowerCase();
+  if (host === domain) return true;
+  return cookieDomain.startsWith('.') && host.endsWith(`.${domain}`);
+}
+
+function getOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toCookieData(cookie) {
+  const data = {};
+  for (const field of COOKIE_FIELDS) {
+    if (cookie[field] !== undefined) data[field] = cookie[field];
+  }
+  if (!cookie.session && cookie.expires > 0) data.expires = cookie.expires;
+  return data;
+}
+
+class StorageStateManager {
+  constructor(browserManager) {
+    this.browserManager = browserManager;
+  }
+
+  getBrowser() {
+    if (!this.browserManager.browser) {
+      throw new Error('浏览器未启动');
+    }
+    return this.browserManager.browser;
+  }
+
+  getCurrentHost() {
+    const page = this.browserManager.getCurrentPage();
+    if (!page) return null;
+    try {
+      return new URL(page.url()).hostname || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async listCookies(options = {}) {
+    const cookies = await this.getBrowser().cookies();
+    const host = options.domain || (options.all ? null : this.getCurrentHost());
+    if (!host) return cookies;
+    return cookies.filter(c => domainMatches(c.domain, host));
+  }
+
+  async getCookie(name, options = {}) {
+    const cookies = await this.listCookies(options);
+    return cookies.filter(c => c.name === name);
+  }
+
+  async setCookie(name, value, options = {}) {
+    const domain = options.domain || this.getCurrentHost();
+    if (!domain) {
+      throw new Error('当前页面没有域名，请使用 --domain 指定 Cookie 所属域名');
+    }
+    const cookie = { name, value, domain, path: options.path || '/' };
+    if (options.secure) cookie.secure = true;
+    if (options.httpOnly) cookie.httpOnly = true;
+    if (options.sameSite) cookie.sameSite = options.sameSite;
+    if (options.expires) cookie.expires = options.expires;
+    await this.getBrowser().setCookie(cookie);
+    return cookie;
+  }
+
+  async deleteCookie(name, options = {}) {
+    const matched = await this.getCookie(name, options);
+    if (matched.length > 0) {
+      await this.getBrowser().deleteCookie(...matched);
+    }
+    return matched.length;
+  }
+
+  async clearCookies(options = {}) {
+    const cookies = await this.listCookies(options);
+    if (cookies.length > 0) {
+      await this.getBrowser().deleteCookie(...cookies);
+    }
+    return cookies.length;
+  }
+
+  async saveState(filePath) {
+    const cookies = await this.getBrowser().cookies();
+    const origins = new Map();
+
+    for (const { _page: page } of this.browserManager.pages) {
+      const origin = getOrigin(page.url());
+      if (!origin || origins.has(origin)) continue;
+      try {
+        const storage = await page.evaluate(() => {
+          const dump = (store) => Object.keys(store).map(name => ({ name, value: store.getItem(name) }));
+          return { localStorage: dump(window.localStorage), sessionStorage: dump(window.sessionStorage) };
+        });
+        origins.set(origin, { origin, ...storage });
+      } catch (error) {}
+    }
+
+    const state = { cookies, origins: [...origins.values()] };
+    const fullPath = path.resolve(filePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, JSON.stringify(state, null, 2), { encoding: 'utf-8', mode: 0o600 });
+
+    return { filePath: fullPath, cookieCount: cookies.length, originCount: state.origins.length };
+  }
+
+  async loadState(filePath) {
+    const fullPath = path.resolve(filePath);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`找不到状态文件：${fullPath}`);
+    }
+    const state = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+    const browser = this.getBrowser();
+
+    const cookies = (state.cookies || []).map(toCookieData);
+    if (cookies.length > 0) {
+      await browser.setCookie(...cookies);
+    }
+
+    let sessionSkipped = 0;
+    for (const entry of state.origins || []) {
+      const openPages = this.browserManager.pages
+        .map(p => p._page)
+        .filter(page => getOrigin(page.url()) === entry.origin);
+
+      if (openPages.length > 0) {
+        for (const page of openPages) {
+          await this.applyStorage(page, entry.localStorage, entry.sessionStorage);
+        }
+        continue;
+      }
+
+      if (entry.sessionStorage?.length) sessionSkipped++;
+      if (!entry.localStorage?.length) continue;
+
+      const page = await browser.newPage();
+      try {
+        await page.goto(entry.origin, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await this.applyStorage(page, entry.localStorage, []);
+      } finally {
+        await page.close();
+      }
+    }
+
+    await this.browserManager.refreshPages();
+    return {
+      filePath: fullPath,
+      cookieCount: cookies.length,
+      originCount: (state.origins || []).length,
+      sessionSkipped,
+    };
+  }
+
+  async applyStorage(page, localItems = [], sessionItems = []) {
+    await page.evaluate((local, session) => {
+      for (const { name, value } of local) window.localStorage.setItem(name, value);
+      for (const { name, value } of session) window.sessionStorage.setItem(name, value);
+    }, localItems, sessionItems);
+  }
+}
+
+module.exports = { StorageStateManager };
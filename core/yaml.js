@@ -0,0 +1,55 @@
+// 只处理 JSON 能表示的数据（对象、数组、字符串、数字、布尔值、null），足够输出快照树
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  const text = String(value);
+  // 可能被解析成其他类型、或含有 YAML 特殊字符的字符串用双引号（JSON 字符串也是合法的 YAML）
+  if (
+    text === '' ||
+    /^[\s\-?:,[\]{}#&*!|>'"%@`]|\s$|: | #|[\n\r\t]/.test(text) ||
+    /^(true|false|null|yes|no|on|off|~|[-+]?\.?\d)/i.test(text)
+  ) {
+    return JSON.stringify(text);
+  }
+  return text;
+}
+
+function toYaml(value, indent = 0) {
+  const pad = '  '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${pad}[]`;
+    return value.map((item) => {
+      if ((Array.isArray(item) || isPlainObject(item)) && !isEmpty(item)) {
+        return `${pad}- ${toYaml(item, indent + 1).trimStart()}`;
+      }
+      return `${pad}- ${Array.isArray(item) ? '[]' : isPlainObject(item) ? '{}' : formatScalar(item)}`;
+    }).join('\n');
+  }
+
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return `${pad}{}`;
+    return entries.map(([key, v]) => {
+      if (Array.isArray(v) || isPlainObject(v)) {
+        if (isEmpty(v)) return `${pad}${formatScalar(key)}: ${Array.isArray(v) ? '[]' : '{}'}`;
+        return `${pad}${formatScalar(key)}:\n${toYaml(v, indent + 1)}`;
+      }
+      return `${pad}${formatScalar(key)}: ${formatScalar(v)}`;
+    }).join('\n');
+  }
+
+  return `${pad}${formatScalar(value)}`;
+}
+
+module.exports = { toYaml };
@@ -5,6 +5,7 @@ const { ActionExecutor } = require('../core/actions');
 const { AutomationManager } = require('../core/automation');
 const { CommandDispatcher } = require('../core/commands');
 const { renderImageToTerminal, renderImageAsASCII, renderImageWithText, COLORS } = require('../core/renderer');
+const { formatConsoleMessage, formatNetworkRequest } = require('../cli/output');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -35,6 +36,7 @@ const HELP_TEXT = `
 ║  页面查看：                                                   ║
 ║    l                 获取所有元素（自动先获取快照）            ║
 ║    lc                获取可交互元素（按钮/输入框/链接）        ║
+║    ld                对比上次快照，只显示变化的元素            ║
 ║    s                 截图保存到 ./image.png                    ║
 ║    sp                截图并在终端显示（彩色色块）              ║
 ║    spw               连续截图预览（动态刷新，按 ESC 退出）     ║
@@ -46,6 +48,7 @@ const HELP_TEXT = `
 ║    c <uid>           点击元素                                  ║
 ║    fc <文字> [编号]   点击包含文字的元素                        ║
 ║    t <uid> <text>    向输入框输入文本                          ║
+║    c text=登录       定位器：css= xpath= text= role= label=    ║
 ║    ft <文字> <文本>  向包含文字的输入框输入                    ║
 ║    k <key>           发送键盘按键 (Enter, Tab, Control+A 等)    ║
 ║    sl <秒>           停顿指定秒数 (例如：sl 1.5)                ║
@@ -109,7 +112,7 @@ async function executeCommand(input) {
   }
 
   if (recordingState) {
-    const skipCommands = ['a', 'l', 'lc', 's', 'sp', 'st', 'sa', 'e', 'els', 'elements', 'h', 'help', 'status', 'clear'];
+    const skipCommands = ['a', 'l', 'lc', 'ld', 's', 'sp', 'st', 'sa', 'e', 'els', 'elements', 'h', 'help', 'status', 'clear'];
     if (!skipCommands.includes(command)) {
       recordingState.commands.push({ raw: trimmed, timestamp: Date.now() });
     }
@@ -127,7 +130,7 @@ async function executeCommand(input) {
     }
   }
 
-  if (command === 'l' || command === 'elements' || command === 'els' || command === 'e') {
+  if (['l', 'elements', 'els', 'e'].includes(command) && !parts.includes('--format')) {
     await handleElementsInteractive();
     return;
   }
@@ -177,20 +180,21 @@ function printResult(result) {
         } else {
           console.log('\n========== 控制台消息 ==========');
           for (const msg of result.data.messages) {
-            console.log(`[${msg.type || 'log'}] ${msg.text || msg}`);
+            console.log(formatConsoleMessage(msg));
           }
           console.log('================================\n');
         }
+        if (result.data.cleared) console.log('✅ 已清空控制台消息');
       } else if (result.data.requests !== undefined) {
         if (result.data.requests.length === 0) {
           console.log('（无网络请求）');
         } else {
           console.log(`\n========== 网络请求 (${result.data.total} 个) ==========`);
           for (const req of result.data.requests) {
-            console.log(`${req.method || 'GET'} ${req.url || req}`);
+            console.log(formatNetworkRequest(req));
           }
-          if (result.data.total > 20) {
-            console.log(`... 还有 ${result.data.total - 20} 个请求`);
+          if (result.data.total > result.data.requests.length) {
+            console.log(`... 还有 ${result.data.total - result.data.requests.length} 个更早的请求`);
           }
           console.log('========================================\n');
         }
@@ -255,22 +259,7 @@ async function handleElementsInteractive() {
     return;
   }
 
-  const page = browserManager.getCurrentPage();
-  let linkHrefs = {};
-  if (page) {
-    try {
-      linkHrefs = await page.evaluate(() => {
-        const hrefs = {};
-        document.querySelectorAll('a[href]').forEach((el) => {
-          const text = el.textContent?.trim() || el.getAttribute('aria-label') || '';
-          if (text) hrefs[text] = el.href;
-        });
-        return hrefs;
-      });
-    } catch (e) {}
-  }
-
-  const lines = snapshotManager.getLastSnapshot().split('\n').filter(line => line.trim());
+  const lines = await snapshotManager.getSnapshotLines();
   const termRows = process.stdout.rows || 30;
   const termCols = process.stdout.columns || 120;
   const reservedRows = 7;
@@ -306,14 +295,7 @@ async function handleElementsInteractive() {
     let usedRows = 0;
     let count = 0;
     for (let i = startIndex; i < linesArray.length; i++) {
-      let output = linesArray[i];
-      const linkMatch = linesArray[i].match(/link:\s*([^\[\n]+)/);
-      if (linkMatch) {
-        const linkText = linkMatch[1].trim();
-        const href = linkHrefs[linkText];
-        if (href) output += ` → ${href}`;
-      }
-      const rowsNeeded = calculateWrappedRows(output, termCols);
+      const rowsNeeded = calculateWrappedRows(linesArray[i], termCols);
       if (usedRows + rowsNeeded > availableRows) break;
       usedRows += rowsNeeded;
       count++;
@@ -341,14 +323,7 @@ async function handleElementsInteractive() {
 
     console.log(`\n========== 元素列表 (第 ${pg + 1}/${totalPages} 页) ==========`);
     for (const line of pageLines) {
-      let output = line;
-      const linkMatch = line.match(/link:\s*([^\[\n]+)/);
-      if (linkMatch) {
-        const linkText = linkMatch[1].trim();
-        const href = linkHrefs[linkText];
-        if (href) output += ` → ${href}`;
-      }
-      console.log(output);
+      console.log(line);
     }
     console.log('=====================================\n');
     console.log('[Enter] 下一页  [\\] 上一页  [ESC] 退出');
@@ -386,53 +361,7 @@ async function handleInteractiveElementsPaginated() {
     return;
   }
 
-  const page = browserManager.getCurrentPage();
-  let linkHrefs = {};
-  if (page) {
-    try {
-      linkHrefs = await page.evaluate(() => {
-        const hrefs = {};
-        document.querySelectorAll('a[href]').forEach((el) => {
-          const text = el.textContent?.trim() || el.getAttribute('aria-label') || '';
-          if (text) hrefs[text] = el.href;
-        });
-        return hrefs;
-      });
-    } catch (e) {}
-  }
-
-  const interactiveTypes = [
-    'button:', 'textbox:', 'link:', 'checkbox:', 'radio:',
-    'combobox:', 'listbox:', 'menuitem:', 'option:', 'tab:',
-    'treeitem:', 'menu:', 'menubar:', 'toolbar:', 'searchbox:',
-    'spinbutton:', 'slider:', 'switch:'
-  ];
-
-  const lines = snapshotManager.getLastSnapshot().split('\n');
-  const interactiveLines = [];
-  for (const line of lines) {
-    if (line.trim()) {
-      const match = line.match(/\[uid_(\d+)\]/i);
-      if (match) {
-        const uid = `uid_${match[1]}`;
-        for (const type of interactiveTypes) {
-          if (line.includes(type)) {
-            let desc = line.replace(/\[uid_\d+\]\s*/i, '').trim();
-            if (type === 'link:') {
-              const linkMatch = desc.match(/link:\s*([^\[\n→]+)/);
-              if (linkMatch) {
-                const linkText = linkMatch[1].trim();
-                const href = linkHrefs[linkText];
-                if (href) desc += ` → ${href}`;
-              }
-            }
-            interactiveLines.push(`[${uid}] ${desc}`);
-            break;
-          }
-        }
-      }
-    }
-  }
+  const interactiveLines = await snapshotManager.getInteractiveLines();
 
   if (interactiveLines.length === 0) {
     console.log('\n========== 可交互元素 ==========');
@@ -476,14 +405,7 @@ async function handleInteractiveElementsPaginated() {
     let usedRows = 0;
     let count = 0;
     for (let i = startIndex; i < linesArray.length; i++) {
-      let output = linesArray[i];
-      const linkMatch = linesArray[i].match(/link:\s*([^\[\n→]+)/);
-      if (linkMatch) {
-        const linkText = linkMatch[1].trim();
-        const href = linkHrefs[linkText];
-        if (href) output += ` → ${href}`;
-      }
-      const rowsNeeded = calculateWrappedRows(output, termCols);
+      const rowsNeeded = calculateWrappedRows(linesArray[i], termCols);
       if (usedRows + rowsNeeded > availableRows) break;
       usedRows += rowsNeeded;
       count++;
@@ -511,14 +433,7 @@ async function handleInteractiveElementsPaginated() {
 
     console.log(`\n========== 可交互元素 (第 ${pg + 1}/${totalPages} 页) ==========`);
     for (const line of pageLines) {
-      let output = line;
-      const linkMatch = output.match(/link:\s*([^\[\n→]+)/);
-      if (linkMatch) {
-        const linkText = linkMatch[1].trim();
-        const href = linkHrefs[linkText];
-        if (href) output += ` → ${href}`;
-      }
-      console.log(output);
+      console.log(line);
     }
     console.log('=====================================\n');
     console.log('[Enter] 下一页  [\\] 上一页  [ESC] 退出');
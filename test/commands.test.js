@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CommandDispatcher } = require('../core/commands');
+
+function createDispatcher() {
+  const filled = [];
+  const actionExecutor = {
+    async fill(uid, text) {
+      filled.push({ uid, text });
+      return { text: `已输入：${text}` };
+    },
+  };
+  return { dispatcher: new CommandDispatcher({}, {}, actionExecutor, {}), filled };
+}
+
+test('execute 原样传递 --x=y 参数', async () => {
+  const { dispatcher, filled } = createDispatcher();
+  const result = await dispatcher.execute('t', ['uid_1', '--password=hunter2']);
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(filled, [{ uid: 'uid_1', text: '--password=hunter2' }]);
+});
+
+test('dispatch 展开未加引号的 --flag=value', async () => {
+  const { dispatcher, filled } = createDispatcher();
+  await dispatcher.dispatch('t uid_2 --name=value');
+  assert.deepStrictEqual(filled, [{ uid: 'uid_2', text: '--name value' }]);
+});
+
+test('dispatch 不展开加引号的 --flag=value', async () => {
+  const { dispatcher, filled } = createDispatcher();
+  await dispatcher.dispatch('t uid_3 "--name=value"');
+  assert.deepStrictEqual(filled, [{ uid: 'uid_3', text: '--name=value' }]);
+});